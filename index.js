@@ -1,630 +1,3159 @@
-export default class SubtitleRenderer {
-    constructor(videoElement, overlayElement) {
+import * as parser from './parser.js';
+
+// Style written when converting VTT/SRT to ASS (1920x1080 script, font at 5% of the height like WebVTT)
+const ASS_DEFAULT_STYLE = {
+    Name: 'Default', Fontname: 'Arial', Fontsize: '54', PrimaryColour: '&H00FFFFFF', SecondaryColour: '&H000000FF',
+    OutlineColour: '&H00000000', BackColour: '&H80000000', Bold: '0', Italic: '0', Underline: '0', StrikeOut: '0',
+    ScaleX: '100', ScaleY: '100', Spacing: '0', Angle: '0', BorderStyle: '1', Outline: '3', Shadow: '1',
+    Alignment: '2', MarginL: '60', MarginR: '60', MarginV: '40', Encoding: '1'
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// WebVTT cue elements built as their HTML counterparts; c, v and lang become spans
+const VTT_HTML_TAGS = ['i', 'b', 'u', 'ruby', 'rt'];
+
+let nextStyleScope = 1; // Per-renderer id that WebVTT STYLE rules are scoped to
+
+// GDI charset ids used in the ASS/SSA style Encoding column -> TextDecoder labels
+const GDI_CHARSETS = {
+    128: 'shift_jis',
+    129: 'euc-kr',
+    134: 'gbk',
+    136: 'big5',
+    161: 'windows-1253',
+    162: 'windows-1254',
+    163: 'windows-1258',
+    177: 'windows-1255',
+    178: 'windows-1256',
+    186: 'windows-1257',
+    204: 'windows-1251',
+    222: 'windows-874',
+    238: 'windows-1250'
+};
+
+// Static interval index over cue times: cues sorted by start, laid out as an implicit
+// balanced binary tree where every node knows the latest end in its subtree.
+// Lookup of the cues active at a time is O(log n + k) instead of a scan of every cue.
+class CueIndex {
+    constructor(cues) {
+        this.cues = cues;
+        this.size = cues.length;
+        this.order = new Map(cues.map((cue, idx) => [cue, idx])); // Original (file) order
+        this.sorted = cues.slice().sort((a, b) => a.start - b.start);
+        this.maxEnd = new Float64Array(this.sorted.length);
+        this.buildMaxEnd(0, this.sorted.length - 1);
+    }
+
+    buildMaxEnd(lo, hi) {
+        if (lo > hi) return -Infinity;
+        const mid = (lo + hi) >> 1;
+        const max = Math.max(this.sorted[mid].end, this.buildMaxEnd(lo, mid - 1), this.buildMaxEnd(mid + 1, hi));
+        this.maxEnd[mid] = max;
+        return max;
+    }
+
+    query(time) {
+        // Cues with start <= time <= end, in file order
+        const result = [];
+        const visit = (lo, hi) => {
+            if (lo > hi) return;
+            const mid = (lo + hi) >> 1;
+            if (this.maxEnd[mid] < time) return; // Nothing in this subtree is still running
+            visit(lo, mid - 1);
+            const cue = this.sorted[mid];
+            if (cue.start > time) return; // Everything to the right starts later
+            if (cue.end >= time) result.push(cue);
+            visit(mid + 1, hi);
+        };
+        visit(0, this.sorted.length - 1);
+        return result.sort((a, b) => this.order.get(a) - this.order.get(b));
+    }
+}
+
+class VideoWatcher {
+    // The listeners behind attach(): time changes update, anything that moves or resizes the
+    // video frame (element size, intrinsic size, fullscreen, picture-in-picture) resizes.
+    // Shared by SubtitleRenderer and SubtitleTrackManager; handlers are { update, resize, log }.
+    constructor(video, overlay, handlers) {
+        this.video = video;
+        this.overlay = overlay;
+        this.handlers = handlers;
+        this.resizeObserver = null;
+        this.hiddenForPiP = false;
+        this.videoListeners = {
+            timeupdate: () => handlers.update(),
+            seeked: () => handlers.update(),
+            ratechange: () => handlers.update(),
+            loadedmetadata: () => {
+                handlers.resize();
+                handlers.update();
+            },
+            resize: () => handlers.resize(), // videoWidth/videoHeight changed (new source, adaptive stream)
+            enterpictureinpicture: () => {
+                // The frame moves to its own window, which the overlay can't follow
+                this.overlay.style.visibility = 'hidden';
+                this.hiddenForPiP = true;
+            },
+            leavepictureinpicture: () => {
+                this.showOverlay();
+                handlers.resize();
+            }
+        };
+        this.onFullscreenChange = () => {
+            const element = document.fullscreenElement || document.webkitFullscreenElement;
+            if (element === this.video) {
+                handlers.log('warn', '[SubtitleRenderer] The video element itself is fullscreen, so the overlay is not shown; make a container of both fullscreen instead');
+            }
+            handlers.resize();
+        };
+        this.onWindowResize = () => handlers.resize();
+    }
+
+    start() {
+        for (const [type, listener] of Object.entries(this.videoListeners)) {
+            this.video.addEventListener(type, listener);
+        }
+        document.addEventListener('fullscreenchange', this.onFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', this.onFullscreenChange);
+        if (typeof ResizeObserver === 'function') {
+            // Also catches layout changes that aren't window resizes (sidebars, theatre mode, CSS)
+            this.resizeObserver = new ResizeObserver(() => this.handlers.resize());
+            this.resizeObserver.observe(this.video);
+        } else {
+            window.addEventListener('resize', this.onWindowResize);
+        }
+    }
+
+    stop() {
+        for (const [type, listener] of Object.entries(this.videoListeners)) {
+            this.video.removeEventListener(type, listener);
+        }
+        document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+        document.removeEventListener('webkitfullscreenchange', this.onFullscreenChange);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        } else {
+            window.removeEventListener('resize', this.onWindowResize);
+        }
+        this.showOverlay();
+    }
+
+    showOverlay() {
+        if (!this.hiddenForPiP) return;
+        this.overlay.style.visibility = '';
+        this.hiddenForPiP = false;
+    }
+}
+
+class FrameLoop {
+    // Per-frame updates behind renderLoop: requestVideoFrameCallback where available (one
+    // update per presented frame), requestAnimationFrame otherwise. Paused video stops the
+    // loop; seeking updates immediately. update(mediaTime) gets the frame's media time when
+    // the browser provides one.
+    constructor(video, update) {
+        this.video = video;
+        this.update = update;
+        this.active = false;
+        this.frameHandle = null;
+        this.frameType = null; // 'video' (requestVideoFrameCallback) or 'animation' (requestAnimationFrame)
+        this.listeners = null;
+    }
+
+    start() {
+        if (this.active) return;
+        this.active = true;
+
+        this.listeners = {
+            play: () => this.schedule(),
+            playing: () => this.schedule(),
+            pause: () => {
+                this.cancel();
+                this.update();
+            },
+            seeking: () => this.update(),
+            seeked: () => {
+                this.update();
+                if (!this.video.paused) this.schedule();
+            }
+        };
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.video.addEventListener(type, listener);
+        }
+
+        this.update();
+        if (!this.video.paused) this.schedule();
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this.cancel();
+
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.video.removeEventListener(type, listener);
+        }
+        this.listeners = null;
+    }
+
+    schedule() {
+        if (!this.active || this.frameHandle !== null) return;
+
+        if (typeof this.video.requestVideoFrameCallback === 'function') {
+            this.frameType = 'video';
+            this.frameHandle = this.video.requestVideoFrameCallback((now, metadata) => {
+                this.frameHandle = null;
+                this.update(metadata && typeof metadata.mediaTime === 'number' ? metadata.mediaTime : undefined);
+                if (!this.video.paused) this.schedule();
+            });
+        } else {
+            this.frameType = 'animation';
+            this.frameHandle = requestAnimationFrame(() => {
+                this.frameHandle = null;
+                this.update();
+                if (!this.video.paused) this.schedule();
+            });
+        }
+    }
+
+    cancel() {
+        if (this.frameHandle === null) return;
+        if (this.frameType === 'video') this.video.cancelVideoFrameCallback(this.frameHandle);
+        else cancelAnimationFrame(this.frameHandle);
+        this.frameHandle = null;
+    }
+}
+
+class CanvasBackend {
+    // Optional backend (options.backend: 'canvas') that paints the active cues into one
+    // <canvas> instead of building DOM nodes: real stroked outlines, canvas blur and clipping,
+    // glyph-level karaoke wipes. Cue model, styles, timing and placement rules all come
+    // from the owning SubtitleRenderer; layout() runs when the active cues or the overlay
+    // size change, draw() on every update.
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'subtitle-canvas';
+        this.canvas.style.position = 'absolute';
+        this.canvas.style.left = '0';
+        this.canvas.style.top = '0';
+        this.canvas.style.width = '100%';
+        this.canvas.style.height = '100%';
+        this.canvas.style.pointerEvents = 'none';
+        this.ctx = this.canvas.getContext('2d');
+        this.width = 0; // Drawing size in CSS pixels
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.layouts = []; // Layout of each active cue (same order as renderer.activeCues)
+        this.looks = {}; // Computed .subtitle-line look per text format, see getTextLook
+    }
+
+    resize(width, height) {
+        // Fills the overlay (the letterbox rectangle from resize()) with a device-pixel backing store
+        const ratio = window.devicePixelRatio || 1;
+        const pixelWidth = Math.max(1, Math.round(width * ratio));
+        const pixelHeight = Math.max(1, Math.round(height * ratio));
+        if (this.canvas.width !== pixelWidth) this.canvas.width = pixelWidth;
+        if (this.canvas.height !== pixelHeight) this.canvas.height = pixelHeight;
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = ratio;
+    }
+
+    layout() {
+        const r = this.renderer;
+        if (this.canvas.parentNode !== r.overlay) r.overlay.appendChild(this.canvas);
+        this.resize(r.overlay.clientWidth, r.overlay.clientHeight);
+        r.updateActiveScale(this.width, this.height);
+
+        this.looks = {};
+        this.layouts = r.activeCues.map(cue => cue.format === 'ass' ? this.layoutASSCue(cue, null) : this.layoutTextCue(cue));
+        this.stackRegions();
+        this.resolveCollisions();
+    }
+
+    draw(time) {
+        const ctx = this.ctx;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        for (const layout of this.layouts) {
+            ctx.save();
+            if (layout.cue.format === 'ass') this.drawASSCue(layout, time);
+            else this.drawTextCue(layout);
+            ctx.restore();
+        }
+    }
+
+    fontString(family, size, bold, italic) {
+        return this.renderer.cssFont(family, size, bold, italic);
+    }
+
+    // ASS
+
+    layoutASSCue(cue, elapsed) {
+        // Lines of measured pieces (one per run and line break) in overlay pixels.
+        // elapsed (ms) applies \t transforms; null lays out the untransformed line.
+        const r = this.renderer;
+        const duration = (cue.end - cue.start) * 1000;
+        const sourceRuns = cue.runs || [{ text: cue.text, styleName: null, tags: {}, transforms: [] }];
+        const lines = [{ pieces: [], width: 0, ascent: 0, descent: 0 }];
+        let animated = false;
+
+        const addPiece = piece => {
+            const line = lines[lines.length - 1];
+            line.pieces.push(piece);
+            line.width += piece.width;
+            line.ascent = Math.max(line.ascent, piece.ascent);
+            line.descent = Math.max(line.descent, piece.descent);
+        };
+
+        const states = sourceRuns.map(run => {
+            const state = r.resolveRunState(run, cue);
+            if (!run.transforms || run.transforms.length === 0) return state;
+            animated = true;
+            return elapsed !== null ? r.applyTransforms(state, run.transforms, elapsed, duration) : state;
+        });
+        // Wrapped with the transformed sizes, so a growing \t(\fs) line re-wraps as it grows
+        const runs = r.wrapASSRuns(cue, sourceRuns, states, this.width, (run, text, state) =>
+            run.drawing ? this.measureDrawing(run, state).width : this.measureText(text, run, state).width);
+
+        runs.forEach((run, index) => {
+            const state = states[index];
+            if (run.drawing) {
+                addPiece(this.measureDrawing(run, state));
+                return;
+            }
+            run.text.split('\n').forEach((part, idx) => {
+                if (idx > 0) lines.push({ pieces: [], width: 0, ascent: 0, descent: 0 });
+                addPiece(this.measureText(part, run, state));
+            });
+        });
+
+        return {
+            cue,
+            lines,
+            width: Math.max(...lines.map(line => line.width)),
+            height: lines.reduce((sum, line) => sum + line.ascent + line.descent, 0),
+            alignment: r.getASSAlignment(cue),
+            animated, // Re-laid out every frame by drawASSCue
+            shift: 0
+        };
+    }
+
+    measureText(text, run, state) {
+        const r = this.renderer;
+        const size = state.fontSize * (state.fontScaleY / 100) * r.activeScaleY;
+        const font = this.fontString(r.cssFontFamily(state.fontName), size, state.bold, state.italic);
+        this.ctx.font = font;
+        const metrics = this.ctx.measureText(text || ' ');
+        const stretch = state.fontScaleY > 0 ? state.fontScaleX / state.fontScaleY : 1;
+        const spacing = state.spacing * r.activeScaleX;
+
+        return {
+            run,
+            state,
+            text,
+            font,
+            size,
+            stretch,
+            spacing,
+            width: text ? (metrics.width + spacing * Array.from(text).length) * stretch : 0,
+            ascent: metrics.fontBoundingBoxAscent !== undefined ? metrics.fontBoundingBoxAscent : size * 0.8,
+            descent: metrics.fontBoundingBoxDescent !== undefined ? metrics.fontBoundingBoxDescent : size * 0.2
+        };
+    }
+
+    measureDrawing(run, state) {
+        // Same geometry as applyDrawingStyle: bounding box sits on the baseline, \pbo drops it
+        const r = this.renderer;
+        const segments = parser.parseASSDrawing(run.drawing.commands);
+        const bounds = r.getDrawingBounds(segments);
+        const divisor = Math.pow(2, run.drawing.scale - 1);
+        const sx = r.activeScaleX * (state.fontScaleX / 100) / divisor;
+        const sy = r.activeScaleY * (state.fontScaleY / 100) / divisor;
+        const height = Math.max(0, (bounds.maxY - bounds.minY) * sy);
+        const drop = run.drawing.baselineOffset * sy;
+
+        return {
+            run,
+            state,
+            path: new Path2D(r.drawingToPathData(segments, sx, sy, -bounds.minX * sx, -bounds.minY * sy)),
+            width: Math.max(0, (bounds.maxX - bounds.minX) * sx),
+            ascent: height - drop,
+            descent: drop
+        };
+    }
+
+    placeASSBlock(layout, time) {
+        // Top-left of the line box and its alignment point, from \move, \pos or the style margins
+        const r = this.renderer;
+        const cue = layout.cue;
+        const overrides = cue.overrides || {};
+        const column = (layout.alignment - 1) % 3; // 0 left, 1 center, 2 right
+        const row = layout.alignment <= 3 ? 2 : layout.alignment <= 6 ? 1 : 0; // 0 top, 1 middle, 2 bottom
+
+        let anchorX;
+        let anchorY;
+        let point = overrides.pos;
+        if (overrides.move) point = time !== null ? r.getMovePosition(cue, time) : { x: overrides.move.x1, y: overrides.move.y1 };
+        if (point) {
+            anchorX = point.x * r.activeScaleX;
+            anchorY = point.y * r.activeScaleY;
+        } else {
+            const style = r.styles[cue.styleName] || r.styles['Default'] || {};
+            const margins = r.getASSMargins(style, cue.fields);
+            const mL = margins.left * r.activeScaleX;
+            const mR = margins.right * r.activeScaleX;
+            const mV = margins.vertical * r.activeScaleY;
+            anchorX = column === 0 ? mL : column === 2 ? this.width - mR : mL + (this.width - mL - mR) / 2;
+            anchorY = (row === 0 ? mV : row === 2 ? this.height - mV : this.height / 2) + layout.shift;
+        }
+
+        return {
+            anchorX,
+            anchorY,
+            x: anchorX - layout.width * column / 2,
+            y: anchorY - layout.height * row / 2
+        };
+    }
+
+    drawASSCue(layout, time) {
+        const r = this.renderer;
+        const ctx = this.ctx;
+        const cue = layout.cue;
+        const overrides = cue.overrides || {};
+        const elapsed = (time - cue.start) * 1000;
+        const duration = (cue.end - cue.start) * 1000;
+        if (layout.animated) layout = { ...this.layoutASSCue(cue, elapsed), shift: layout.shift };
+
+        // Clips are in frame coordinates, so they go on before the line's own transform
+        const clip = r.getAnimatedClip(cue, elapsed, duration);
+        if (clip) this.clipTo(clip);
+        ctx.globalAlpha = r.getFadeOpacity(cue, time);
+
+        const { x, y, anchorX, anchorY } = this.placeASSBlock(layout, time);
+        const projection = r.getASSProjection(cue, { x: anchorX, y: anchorY }, { left: x, top: y }, elapsed, duration);
+        if (projection) {
+            // Canvas transforms are affine, so the perspective is flattened to its best fit at the line's centre
+            ctx.transform(...r.projectionToAffine(projection, x + layout.width / 2, y + layout.height / 2));
+        }
+
+        const column = (layout.alignment - 1) % 3;
+        let top = y;
+        for (const line of layout.lines) {
+            let penX = x + (layout.width - line.width) * column / 2;
+            for (const piece of line.pieces) {
+                piece.x = penX;
+                piece.baseline = top + line.ascent;
+                penX += piece.width;
+            }
+            top += line.ascent + line.descent;
+        }
+
+        // As libass composites them: all shadows, then all outlines, then the fills on top
+        for (const pass of ['shadow', 'outline', 'fill']) {
+            for (const line of layout.lines) {
+                for (const piece of line.pieces) this.paintASSPiece(piece, pass, elapsed);
+            }
+        }
+    }
+
+    paintASSPiece(piece, pass, elapsed) {
+        const r = this.renderer;
+        const ctx = this.ctx;
+        const state = piece.state;
+        // Strokes are round, so the larger of \xbord/\ybord is used; the opaque box uses both
+        const borderX = state.borderX * r.activeBorderScaleX;
+        const borderY = state.borderY * r.activeBorderScaleY;
+        const border = Math.max(borderX, borderY);
+        const shadowX = state.shadowX * r.activeBorderScaleX;
+        const shadowY = state.shadowY * r.activeBorderScaleY;
+        const blur = (state.blur + state.be) * r.activeBorderScaleY;
+        const karaoke = piece.path ? null : piece.run.karaoke;
+        const progress = karaoke ? r.getKaraokeProgress(karaoke, elapsed) : 1;
+        const box = state.borderStyle === 3 && !piece.path;
+
+        if (!piece.path && !piece.text) return;
+        if (pass === 'shadow' && !shadowX && !shadowY) return;
+        // \ko hides the outline until the syllable is reached
+        if (pass === 'outline' && (!(border > 0 || box) || (karaoke && karaoke.type === 'ko' && progress < 1))) return;
+
+        ctx.save();
+        ctx.filter = blur > 0 ? `blur(${blur}px)` : 'none';
+        ctx.lineJoin = 'round';
+        // Strokes are centred on the glyph edge; the fill covers the inner half
+        ctx.lineWidth = border * 2;
+
+        if (box && pass !== 'fill') {
+            // BorderStyle 3: the outline is a box in OutlineColour, the shadow the same box in BackColour
+            const color = pass === 'shadow' ? state.backColor : state.outlineColor;
+            const alpha = pass === 'shadow' ? state.backAlpha : state.outlineAlpha;
+            if (pass === 'shadow') ctx.translate(shadowX, shadowY);
+            ctx.fillStyle = r.rgbaString(color, alpha);
+            ctx.fillRect(piece.x - borderX, piece.baseline - piece.ascent - borderY,
+                piece.width + borderX * 2, piece.ascent + piece.descent + borderY * 2);
+        } else if (pass === 'shadow') {
+            ctx.translate(shadowX, shadowY);
+            ctx.fillStyle = r.rgbaString(state.backColor, state.backAlpha);
+            ctx.strokeStyle = ctx.fillStyle;
+            if (border > 0) this.tracePiece(piece, 'stroke');
+            this.tracePiece(piece, 'fill');
+        } else if (pass === 'outline') {
+            ctx.strokeStyle = r.rgbaString(state.outlineColor, state.outlineAlpha);
+            this.tracePiece(piece, 'stroke');
+        } else if (karaoke && karaoke.type === 'kf' && progress > 0 && progress < 1) {
+            // Wipe: SecondaryColour underneath, PrimaryColour clipped up to the progress point
+            ctx.fillStyle = r.rgbaString(state.secondaryColor, state.secondaryAlpha);
+            this.tracePiece(piece, 'fill');
+            ctx.beginPath();
+            ctx.rect(piece.x, piece.baseline - piece.ascent, piece.width * progress, piece.ascent + piece.descent);
+            ctx.clip();
+            ctx.fillStyle = r.rgbaString(state.primaryColor, state.primaryAlpha);
+            this.tracePiece(piece, 'fill');
+        } else {
+            const sung = !karaoke || progress >= 1;
+            ctx.fillStyle = sung
+                ? r.rgbaString(state.primaryColor, state.primaryAlpha)
+                : r.rgbaString(state.secondaryColor, state.secondaryAlpha);
+            this.tracePiece(piece, 'fill');
+        }
+
+        ctx.restore();
+    }
+
+    tracePiece(piece, mode) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        if (piece.path) {
+            ctx.translate(piece.x, piece.baseline - piece.ascent);
+            if (mode === 'fill') ctx.fill(piece.path);
+            else ctx.stroke(piece.path);
+            ctx.restore();
+            return;
+        }
+
+        ctx.font = piece.font;
+        ctx.translate(piece.x, piece.baseline);
+        ctx.scale(piece.stretch, 1);
+        if (!piece.spacing) {
+            if (mode === 'fill') ctx.fillText(piece.text, 0, 0);
+            else ctx.strokeText(piece.text, 0, 0);
+        } else {
+            // Letter spacing, glyph by glyph
+            let penX = 0;
+            for (const glyph of Array.from(piece.text)) {
+                if (mode === 'fill') ctx.fillText(glyph, penX, 0);
+                else ctx.strokeText(glyph, penX, 0);
+                penX += ctx.measureText(glyph).width + piece.spacing;
+            }
+        }
+        if (mode === 'fill') {
+            this.drawDecorations(piece.state.underline, piece.state.strikeout, piece.width / piece.stretch, piece.size);
+        }
+
+        ctx.restore();
+    }
+
+    drawDecorations(underline, strikeout, width, size) {
+        // Relative to the current baseline origin, in the current fill style
+        const thickness = Math.max(1, size / 15);
+        if (underline) this.ctx.fillRect(0, size * 0.1, width, thickness);
+        if (strikeout) this.ctx.fillRect(0, -size * 0.3, width, thickness);
+    }
+
+    clipTo(clip) {
+        const r = this.renderer;
+        let shape = new Path2D();
+        if (clip.rect) {
+            const x1 = Math.min(clip.rect.x1, clip.rect.x2) * r.activeScaleX;
+            const x2 = Math.max(clip.rect.x1, clip.rect.x2) * r.activeScaleX;
+            const y1 = Math.min(clip.rect.y1, clip.rect.y2) * r.activeScaleY;
+            const y2 = Math.max(clip.rect.y1, clip.rect.y2) * r.activeScaleY;
+            shape.rect(x1, y1, x2 - x1, y2 - y1);
+        } else {
+            // \clip(scale, drawing): coordinates are in 1/2^(scale-1) units
+            const divisor = Math.pow(2, clip.scale - 1);
+            const segments = parser.parseASSDrawing(clip.drawing);
+            shape = new Path2D(r.drawingToPathData(segments, r.activeScaleX / divisor, r.activeScaleY / divisor) + ' Z');
+        }
+
+        if (clip.inverse) {
+            // Cut the shape out of a rectangle covering the frame
+            const path = new Path2D();
+            path.rect(0, 0, this.width, this.height);
+            path.addPath(shape);
+            this.ctx.clip(path, 'evenodd');
+        } else {
+            this.ctx.clip(shape);
+        }
+    }
+
+    // WebVTT / SRT
+
+    layoutTextCue(cue) {
+        // Same box rules as applyVTTLayout: 5% font, 6% line step, computeVTTBox for the cue box
+        const r = this.renderer;
+        const s = cue.settings || {};
+        const lineHeight = this.height * 0.06;
+        const fontSize = this.height * 0.05;
+        const { align, offset, size } = r.computeVTTBox(s);
+        const region = r.getVTTRegion(cue);
+        const vertical = region ? null : s.vertical;
+        const look = this.getTextLook(cue.format);
+
+        const extent = region
+            ? this.width * region.width / 100
+            : (vertical ? this.height : this.width) * size / 100;
+        const lines = this.wrapTextRuns(parser.parseCueMarkup(cue.text), look.fontFamily, fontSize, extent, vertical);
+        const thickness = lines.length * lineHeight;
+        const layout = { cue, lines, align, vertical, region, lineHeight, fontSize, color: look.color, clipRect: null, shift: 0 };
+
+        if (region) {
+            // Placed by stackRegions
+            layout.x = 0;
+            layout.y = 0;
+            layout.width = extent;
+            layout.height = thickness;
+            return layout;
+        }
+
+        const lineAlign = s.lineAlign || 'start';
+        const alignShift = lineAlign === 'center' ? 0.5 : lineAlign === 'end' ? 1 : 0;
+        const line = s.line !== undefined ? s.line : -1; // line:auto behaves as the last line of the video
+        const snapped = !(s.line !== undefined && s.snapToLines === false);
+        const fromEdge = line >= 0 ? line * lineHeight : (-line - 1) * lineHeight;
+
+        if (!vertical) {
+            layout.x = this.width * offset / 100;
+            layout.width = extent;
+            layout.height = thickness;
+            if (!snapped) layout.y = this.height * s.line / 100 - thickness * alignShift;
+            else layout.y = line >= 0 ? fromEdge : this.height - fromEdge - thickness;
+        } else {
+            layout.y = this.height * offset / 100;
+            layout.height = extent;
+            layout.width = thickness;
+            if (!snapped) {
+                layout.x = this.width * s.line / 100 - thickness * alignShift;
+            } else {
+                // Lines are counted from the right edge for rl and from the left for lr
+                const fromRight = (vertical === 'rl') === (line >= 0);
+                layout.x = fromRight ? this.width - fromEdge - thickness : fromEdge;
+            }
+        }
+        return layout;
+    }
+
+    getTextLook(format) {
+        // Text cues take their font and colour from the page's .subtitle-line CSS, like the DOM backend
+        if (!this.looks[format]) {
+            const probe = document.createElement('div');
+            probe.className = `subtitle-line ${format}-style`;
+            probe.style.visibility = 'hidden';
+            this.renderer.overlay.appendChild(probe);
+            const computed = getComputedStyle(probe);
+            this.looks[format] = {
+                fontFamily: computed.fontFamily || 'sans-serif',
+                color: computed.color || 'white'
+            };
+            probe.remove();
+        }
+        return this.looks[format];
+    }
+
+    wrapTextRuns(runs, fontFamily, fontSize, extent, vertical) {
+        // Greedy word wrap into lines of { pieces, width }; vertical text advances one em per glyph
+        const ctx = this.ctx;
+        const lines = [];
+        let line = { pieces: [], width: 0 };
+
+        const endLine = () => {
+            // Trailing spaces don't count towards alignment
+            while (line.pieces.length > 0 && !line.pieces[line.pieces.length - 1].text.trim()) {
+                line.width -= line.pieces.pop().width;
+            }
+            lines.push(line);
+            line = { pieces: [], width: 0 };
+        };
+
+        for (const run of runs) {
+            const font = this.fontString(fontFamily, fontSize, run.bold, run.italic);
+            ctx.font = font;
+            run.text.split('\n').forEach((part, idx) => {
+                if (idx > 0) endLine();
+                for (const word of part.split(/(\s+)/)) {
+                    if (!word) continue;
+                    const width = vertical ? Array.from(word).length * fontSize : ctx.measureText(word).width;
+                    if (word.trim() && line.width > 0 && line.width + width > extent) endLine();
+                    if (!word.trim() && line.pieces.length === 0) continue;
+                    line.pieces.push({ ...run, text: word, font, size: fontSize, width });
+                    line.width += width;
+                }
+            });
+        }
+        endLine();
+        return lines;
+    }
+
+    stackRegions() {
+        // Region cues stack from the bottom of their region, older lines above (no scroll animation)
+        const stacks = new Map();
+        for (const layout of this.layouts) {
+            if (!layout.region) continue;
+            if (!stacks.has(layout.region)) stacks.set(layout.region, []);
+            stacks.get(layout.region).push(layout);
+        }
+
+        for (const [region, layouts] of stacks) {
+            const width = this.width * region.width / 100;
+            const height = this.height * 0.06 * region.lines;
+            const left = this.width * region.viewportAnchor.x / 100 - width * region.regionAnchor.x / 100;
+            const top = this.height * region.viewportAnchor.y / 100 - height * region.regionAnchor.y / 100;
+
+            let bottom = top + height;
+            for (let i = layouts.length - 1; i >= 0; i--) {
+                const layout = layouts[i];
+                layout.x = left;
+                layout.y = bottom - layout.height;
+                layout.clipRect = { left, top, width, height };
+                bottom = layout.y;
+            }
+        }
+    }
+
+    drawTextCue(layout) {
+        const ctx = this.ctx;
+        if (layout.clipRect) {
+            ctx.beginPath();
+            ctx.rect(layout.clipRect.left, layout.clipRect.top, layout.clipRect.width, layout.clipRect.height);
+            ctx.clip();
+        }
+
+        // Same fallback look as the suggested .subtitle-line CSS
+        ctx.shadowColor = 'black';
+        ctx.shadowOffsetX = 1;
+        ctx.shadowOffsetY = 1;
+        ctx.shadowBlur = 2;
+
+        const { align, lineHeight, fontSize } = layout;
+        const y = layout.y + layout.shift;
+        const extent = layout.vertical ? layout.height : layout.width;
+
+        layout.lines.forEach((line, i) => {
+            const free = extent - line.width;
+            let pen = align === 'left' || align === 'start' ? 0 : align === 'right' || align === 'end' ? free : free / 2;
+
+            if (!layout.vertical) {
+                // Roughly centres the em box in the line box
+                const baseline = y + i * lineHeight + (lineHeight + fontSize * 0.7) / 2;
+                for (const piece of line.pieces) {
+                    this.drawTextPiece(piece, layout.x + pen, baseline, layout.color);
+                    pen += piece.width;
+                }
+            } else {
+                // Upright glyphs in columns, first column on the right for rl
+                const column = layout.vertical === 'rl' ? layout.lines.length - 1 - i : i;
+                const centerX = layout.x + (column + 0.5) * lineHeight;
+                ctx.textAlign = 'center';
+                for (const piece of line.pieces) {
+                    ctx.font = piece.font;
+                    ctx.fillStyle = piece.color || layout.color;
+                    for (const glyph of Array.from(piece.text)) {
+                        ctx.fillText(glyph, centerX, y + pen + fontSize * 0.85);
+                        pen += fontSize;
+                    }
+                }
+                ctx.textAlign = 'start';
+            }
+        });
+    }
+
+    drawTextPiece(piece, x, baseline, color) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = piece.font;
+        ctx.fillStyle = piece.color || color;
+        ctx.translate(x, baseline);
+        ctx.fillText(piece.text, 0, 0);
+        this.drawDecorations(piece.underline, piece.strikeout, piece.width, piece.size);
+        ctx.restore();
+    }
+
+    resolveCollisions() {
+        // Same grouping and placement rules as the DOM backend, on the laid out boxes
+        const r = this.renderer;
+        const items = [];
+        for (const layout of this.layouts) {
+            const info = r.getCollisionInfo(layout.cue);
+            if (info) items.push({ cue: layout.cue, layout, ...info, box: this.getLayoutBox(layout) });
+        }
+
+        const shifts = r.computeCollisionShifts(items, this.height);
+        for (const item of items) {
+            if (item.movable) item.layout.shift = shifts.get(item.cue) || 0;
+        }
+    }
+
+    getLayoutBox(layout) {
+        // Box of a laid out line including its collision shift
+        if (layout.cue.format === 'ass') {
+            const { x, y } = this.placeASSBlock(layout, null);
+            return { left: x, top: y, right: x + layout.width, bottom: y + layout.height };
+        }
+        const top = layout.y + layout.shift;
+        return { left: layout.x, top, right: layout.x + layout.width, bottom: top + layout.height };
+    }
+
+    getCollisionBoxes() {
+        const r = this.renderer;
+        return this.layouts.filter(layout => r.getCollisionInfo(layout.cue)).map(layout => this.getLayoutBox(layout));
+    }
+}
+
+export default class SubtitleRenderer extends EventTarget {
+    // Events: 'load' { format, cueCount, scriptInfo }, 'error' { error },
+    // 'cuechange' { entered, exited, active } and 'resize' { width, height, left, top },
+    // all CustomEvents with the payload in event.detail.
+    constructor(videoElement, overlayElement, options = {}) {
+        super();
         this.video = videoElement;
         this.overlay = overlayElement;
+        this.options = options;
+        // Opt-in logging: any console-like object ({ log, warn, error }); debug: true uses the console
+        this.logger = options.logger || (options.debug ? console : null);
         this.cues = [];
+        this.cueIndex = null; // CueIndex over this.cues, rebuilt when the cue list changes
         this.activeCues = [];
         this.format = 'vtt'; // 'vtt' or 'ass'
-        this.assParams = { playResX: 384, playResY: 288 }; // Default ASS resolution
+        // Default ASS resolution and [Script Info] layout fields, replaced by parseASS
+        this.assParams = { playResX: 384, playResY: 288, layoutResX: 0, layoutResY: 0, wrapStyle: 0, scaledBorderAndShadow: false, collisions: 'normal' };
+        this.measureContext = undefined; // 2D context for measuring ASS text before wrapping, see getMeasureContext
+        this.scriptInfo = {}; // Raw [Script Info] fields of the loaded ASS track
+        this.scriptType = 'v4.00+'; // 'v4.00' when the ASS track is an SSA v4 script
+        this.styleFormat = null; // Column names of the ASS Style and Dialogue lines, as declared by Format:
+        this.eventFormat = null;
         this.styles = {}; // Map of style names to style objects
+        this.regions = {}; // WebVTT regions by id
+        this.diagnostics = []; // Problems found while parsing the loaded track, see parser.js
+        this.cueStyleSheets = []; // WebVTT STYLE blocks of the loaded track
+        this.cueStyleSheet = null; // Installed scoped CSSStyleSheet (or <style> element)
+        this.styleScope = nextStyleScope++;
+        this.regionCues = {}; // Region id -> cues shown on last render (for scroll:up)
+        this.collisionShifts = new Map(); // Cue -> vertical shift (fraction of overlay height) from collision handling
+        this.collisionObstacles = null; // Optional () => boxes other lines must stay clear of (set by SubtitleTrackManager)
+        this.renderedElements = []; // Element rendered for each active cue (same order)
+        this.renderedRuns = []; // Run spans rendered for each active cue (ASS only)
+        this.renderedTimedNodes = []; // { element, time } after WebVTT inline timestamps, per active cue
+        this.renderedProjections = []; // { wrapper, box, anchor } of rotated/sheared ASS lines, per active cue
+        this.embeddedFonts = []; // { name, data } decoded from the ASS [Fonts] section
+        this.loadedFonts = []; // FontFace objects registered for the current track
+        this.fontGeneration = 0; // Bumped on unload so late font loads for an old track are dropped
+        this.fontsReady = Promise.resolve();
+        this.timing = { offset: 0, scale: 1 }; // Offset in ms and scale applied to every cue time, see toTrackTime
         this.isEnabled = false;
 
+        // Lifecycle (see attach/destroy)
+        this.watcher = null; // VideoWatcher while attached
+        this.destroyed = false;
+        this.destroyController = new AbortController(); // Aborted by destroy(), cancelling loads in flight
+        // Inline overlay styles that resize() overwrites, put back by destroy()
+        this.overlayStyle = {};
+        for (const key of ['width', 'height', 'left', 'top', 'clipPath']) this.overlayStyle[key] = overlayElement.style[key];
+
         // Bind methods
         this.update = this.update.bind(this);
         this.resize = this.resize.bind(this);
+
+        this.frameLoop = new FrameLoop(videoElement, this.update); // See startRenderLoop
+
+        // Rendering backend: DOM (default) or canvas
+        this.canvasBackend = null;
+        if (options.backend === 'canvas') {
+            const backend = new CanvasBackend(this);
+            if (backend.ctx) this.canvasBackend = backend;
+            else this.log('warn', '[SubtitleRenderer] Canvas 2D not available, using DOM rendering');
+        }
+
+        if (options.renderLoop) this.startRenderLoop();
     }
 
-    async loadTrack(url, format = 'vtt') {
+    async loadTrack(url, format, options = {}) {
+        // options: { encoding, signal, fonts }
         try {
-            console.log(`[SubtitleRenderer] Fetching: ${url}`);
-            const res = await fetch(url);
-            if (!res.ok) throw new Error('Failed to fetch track');
-            const text = await res.text();
+            this.log('log', `[SubtitleRenderer] Fetching: ${url}`);
+            const signal = this.getLoadSignal(options.signal);
+            const res = await fetch(url, { signal });
+            if (!res.ok) throw new Error(`Failed to fetch track: ${res.status} ${res.statusText}`);
+            const buffer = await res.arrayBuffer();
+            this.throwIfAborted(signal);
+
+            const text = this.decodeSubtitleData(buffer, {
+                encoding: options.encoding,
+                contentType: res.headers.get('Content-Type')
+            });
+            this.applyTrack(text, format || this.detectFormat(url, text), options);
+            await this.fontsReady;
+        } catch (e) {
+            this.handleLoadError(e);
+        }
+    }
 
-            this.format = format;
-            this.cues = [];
-            this.styles = {};
+    async loadFromText(text, format, options = {}) {
+        // Subtitle source already in memory as a string (e.g. drag-drop, websocket)
+        // options: { fonts }
+        try {
+            this.applyTrack(String(text), format || this.detectFormat('', text), options);
+            await this.fontsReady;
+        } catch (e) {
+            this.handleLoadError(e);
+        }
+    }
 
-            if (format === 'ass') {
-                this.parseASS(text);
-            } else {
-                this.parseVTT(text);
+    async loadFromData(data, options = {}) {
+        // data: ArrayBuffer, TypedArray/DataView or Blob/File
+        // options: { format, encoding, signal, name, fonts } (name is used to guess the format from its extension)
+        try {
+            const signal = this.getLoadSignal(options.signal);
+            this.throwIfAborted(signal);
+
+            let buffer = data;
+            if (data && typeof data.arrayBuffer === 'function') { // Blob/File (duck-typed, works across realms)
+                buffer = await data.arrayBuffer();
+                this.throwIfAborted(signal);
             }
 
-            this.isEnabled = true;
-            this.update(); // Initial render
-            this.resize(); // Initial resize
-            console.log(`[Subtitle] Loaded ${this.cues.length} cues (${format})`);
-            // Optional: Dispatch event or call global showTemporaryMessage if available
-            if (typeof window.showTemporaryMessage === 'function') {
-                window.showTemporaryMessage(`Subtitles loaded: ${this.cues.length} lines`, 3000);
+            const text = this.decodeSubtitleData(buffer, { encoding: options.encoding });
+            const name = options.name || (data && data.name) || '';
+            this.applyTrack(text, options.format || this.detectFormat(name, text), options);
+            await this.fontsReady;
+        } catch (e) {
+            this.handleLoadError(e);
+        }
+    }
+
+    applyTrack(text, format, options = {}) {
+        // Shared parse path for every load method
+        if (this.destroyed) throw new DOMException('The renderer was destroyed', 'AbortError');
+        if (format === 'ssa') format = 'ass';
+
+        this.unloadFonts();
+        this.removeCueStyles();
+        this.format = format;
+        this.cues = [];
+        this.styles = {};
+        this.embeddedFonts = [];
+        this.diagnostics = [];
+        this.cueStyleSheets = [];
+
+        if (format === 'ass') {
+            this.parseASS(text);
+        } else if (format === 'srt') {
+            this.parseSRT(text);
+        } else {
+            this.parseVTT(text);
+        }
+
+        this.buildCueIndex();
+        this.addCueStyles(this.cueStyleSheets);
+        this.isEnabled = true;
+        // Render right away with fallback fonts; registerFonts re-renders once the real ones load
+        this.fontsReady = this.registerFonts([...this.embeddedFonts, ...(options.fonts || [])]);
+        this.update(); // Initial render
+        this.resize(); // Initial resize
+        this.log('log', `[Subtitle] Loaded ${this.cues.length} cues (${format})`);
+        this.emit('load', {
+            format,
+            cueCount: this.cues.length,
+            scriptInfo: format === 'ass' ? { ...this.scriptInfo } : null,
+            diagnostics: this.diagnostics
+        });
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    log(level, ...args) {
+        if (this.logger && typeof this.logger[level] === 'function') this.logger[level](...args);
+    }
+
+    handleLoadError(e) {
+        // Rethrows so the load promise rejects.
+        // A cancelled load was superseded by another one, so leave the current track alone
+        if (e && e.name === 'AbortError') {
+            this.log('log', '[Subtitle] Track load aborted');
+            throw e;
+        }
+        this.log('error', '[Subtitle] Error loading track:', e);
+        this.disable();
+        this.emit('error', { error: e });
+        throw e;
+    }
+
+    getLoadSignal(signal) {
+        // The caller's signal combined with the renderer's own, which destroy() aborts
+        const own = this.destroyController.signal;
+        if (!signal) return own;
+        if (typeof AbortSignal.any === 'function') return AbortSignal.any([signal, own]);
+
+        const controller = new AbortController();
+        const abort = source => controller.abort(source.reason);
+        if (signal.aborted) abort(signal);
+        else if (own.aborted) abort(own);
+        else {
+            signal.addEventListener('abort', () => abort(signal), { once: true });
+            own.addEventListener('abort', () => abort(own), { once: true });
+        }
+        return controller.signal;
+    }
+
+    throwIfAborted(signal) {
+        if (!signal || !signal.aborted) return;
+        if (signal.reason instanceof Error) throw signal.reason;
+        throw new DOMException('The track load was aborted', 'AbortError');
+    }
+
+    decodeSubtitleData(data, options = {}) {
+        // Bytes -> string. Explicit encoding > BOM > HTTP charset > sniffing.
+        const bytes = data instanceof Uint8Array
+            ? data
+            : ArrayBuffer.isView(data)
+                ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                : new Uint8Array(data);
+
+        const encoding = options.encoding || this.detectEncoding(bytes, options.contentType);
+        this.log('log', `[Subtitle] Decoding track as ${encoding}`);
+        return new TextDecoder(encoding).decode(bytes);
+    }
+
+    detectEncoding(bytes, contentType) {
+        // BOM
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+        // Charset declared by the server
+        const charsetMatch = /charset\s*=\s*"?([\w-]+)/i.exec(contentType || '');
+        if (charsetMatch && this.isSupportedEncoding(charsetMatch[1])) return charsetMatch[1].toLowerCase();
+
+        // UTF-16 without BOM: ASCII-heavy text has a NUL in every other byte
+        const sample = bytes.subarray(0, Math.min(bytes.length, 4096));
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] !== 0) continue;
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+        const half = sample.length / 2;
+        if (half > 0 && oddZeros / half > 0.3 && evenZeros / half < 0.05) return 'utf-16le';
+        if (half > 0 && evenZeros / half > 0.3 && oddZeros / half < 0.05) return 'utf-16be';
+
+        // Valid UTF-8 (plain ASCII included)
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return 'utf-8';
+        } catch (e) {
+            // Not UTF-8, fall through to legacy code pages
+        }
+
+        // ASS/SSA styles declare a GDI charset in their Encoding column
+        const latin = new TextDecoder('windows-1252').decode(bytes);
+        const candidates = [];
+        const styleEncoding = /^Style:.*,\s*(\d+)\s*$/m.exec(latin);
+        if (styleEncoding && GDI_CHARSETS[styleEncoding[1]]) candidates.push(GDI_CHARSETS[styleEncoding[1]]);
+        candidates.push('shift_jis', 'euc-kr', 'gbk', 'big5', 'windows-1251', 'windows-1252');
+
+        // Pick the candidate that decodes with the fewest errors; the first one wins ties
+        let best = 'windows-1252';
+        let bestScore = Infinity;
+        for (const candidate of candidates) {
+            if (!this.isSupportedEncoding(candidate)) continue;
+            const score = this.scoreDecoding(new TextDecoder(candidate).decode(bytes), candidate);
+            if (score < bestScore) {
+                best = candidate;
+                bestScore = score;
             }
+        }
+        return best;
+    }
+
+    scoreDecoding(text, encoding) {
+        // Lower is better. Replacement characters and stray C1 controls are decoding errors;
+        // the other penalties catch typical mojibake (a legacy code page read as the wrong one).
+        const isLatinLetter = code => (code >= 0x41 && code <= 0x5A) || (code >= 0x61 && code <= 0x7A);
+        const isForeignLetter = code => (code >= 0x0400 && code <= 0x04FF) // Cyrillic
+            || (code >= 0x3040 && code <= 0x30FF) // Kana
+            || (code >= 0x3400 && code <= 0x9FFF) // CJK ideographs
+            || (code >= 0xAC00 && code <= 0xD7AF); // Hangul
+        const isAccentedLatin = code => code >= 0xC0 && code <= 0xFF && code !== 0xD7 && code !== 0xF7;
+
+        let score = 0;
+        let accentedRun = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code === 0xFFFD) score += 10;
+            else if (code >= 0x80 && code <= 0x9F) score += 5;
+            else if (code >= 0xE000 && code <= 0xF8FF) score += 2; // Private use area
+            else if (code >= 0xFF61 && code <= 0xFF9F) score += 3; // Half-width katakana
+            else if (encoding === 'euc-kr' && code >= 0x4E00 && code <= 0x9FFF) score += 1; // Hanja are rare in Korean subtitles
+
+            // Words don't switch script mid-word in real text
+            const next = text.charCodeAt(i + 1);
+            if ((isLatinLetter(code) && isForeignLetter(next)) || (isForeignLetter(code) && isLatinLetter(next))) score += 2;
+
+            // Long runs of accented Latin letters are Cyrillic/Greek/etc. read as windows-1252
+            accentedRun = isAccentedLatin(code) ? accentedRun + 1 : 0;
+            if (accentedRun === 3) score += 3;
+        }
+        return score;
+    }
+
+    isSupportedEncoding(label) {
+        try {
+            new TextDecoder(label);
+            return true;
         } catch (e) {
-            console.error('[Subtitle] Error loading track:', e);
-            this.disable();
+            return false;
+        }
+    }
+
+    detectFormat(url, text) {
+        return parser.detectFormat(url, text);
+    }
+
+    addFonts(fonts) {
+        // Extra font files for the current track (e.g. MKV attachments):
+        // ArrayBuffer / TypedArray / Blob, or { data, family } to force the family name
+        this.fontsReady = this.registerFonts(fonts);
+        return this.fontsReady;
+    }
+
+    async registerFonts(fonts) {
+        if (!fonts || fonts.length === 0) return;
+        if (typeof FontFace === 'undefined' || typeof document === 'undefined' || !document.fonts) {
+            this.log('warn', '[Subtitle] FontFace API unavailable, embedded fonts ignored');
+            return;
+        }
+
+        const generation = this.fontGeneration;
+        const faces = [];
+
+        for (const font of fonts) {
+            try {
+                const source = font && font.data ? font.data : font;
+                const bytes = source && typeof source.arrayBuffer === 'function'
+                    ? new Uint8Array(await source.arrayBuffer())
+                    : ArrayBuffer.isView(source)
+                        ? new Uint8Array(source.buffer, source.byteOffset, source.byteLength)
+                        : new Uint8Array(source);
+                const info = this.readFontInfo(bytes);
+                const families = font && font.family ? [font.family] : info.families;
+                if (families.length === 0) {
+                    this.log('warn', `[Subtitle] No family name found in font ${(font && font.name) || ''}`);
+                    continue;
+                }
+                for (const family of families) faces.push(new FontFace(family, bytes, info.descriptors));
+            } catch (e) {
+                this.log('warn', `[Subtitle] Could not read font ${(font && font.name) || ''}:`, e);
+            }
+        }
+
+        const loaded = await Promise.all(faces.map(face => face.load().catch(e => {
+            this.log('warn', `[Subtitle] Font "${face.family}" failed to load:`, e);
+            return null;
+        })));
+
+        // The track was replaced or disabled while loading
+        if (generation !== this.fontGeneration) return;
+
+        let added = 0;
+        for (const face of loaded) {
+            if (!face) continue;
+            document.fonts.add(face);
+            this.loadedFonts.push(face);
+            added++;
+        }
+        this.log('log', `[Subtitle] Registered ${added} font faces`);
+
+        // Re-render with the real fonts
+        if (added > 0 && this.activeCues.length > 0) {
+            this.render();
+            this.applyAnimations(this.toTrackTime());
+        }
+    }
+
+    unloadFonts() {
+        this.fontGeneration++; // Invalidates registrations still in flight
+        if (typeof document !== 'undefined' && document.fonts) {
+            for (const face of this.loadedFonts) document.fonts.delete(face);
+        }
+        this.loadedFonts = [];
+    }
+
+    addCueStyles(styleSheets) {
+        // WebVTT STYLE blocks, rewritten so they only reach this renderer's cues.
+        // Installed through the CSSOM (adopted sheet or insertRule), which a strict CSP allows.
+        this.removeCueStyles();
+        const rules = styleSheets.flatMap(sheet => this.scopeCueRules(sheet.css));
+        if (rules.length === 0 || typeof document === 'undefined') return;
+
+        const root = this.overlay.getRootNode ? this.overlay.getRootNode() : document;
+        let sheet;
+        if (typeof CSSStyleSheet === 'function' && Array.isArray(root.adoptedStyleSheets)) {
+            sheet = new CSSStyleSheet();
+            root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+            this.cueStyleSheet = sheet;
+        } else {
+            const style = document.createElement('style');
+            (root.head || root).appendChild(style);
+            sheet = style.sheet;
+            this.cueStyleSheet = style;
+        }
+
+        for (const rule of rules) {
+            try {
+                sheet.insertRule(rule, sheet.cssRules.length);
+            } catch (e) {
+                this.log('warn', `[VTT-Debug] Ignored STYLE rule: ${rule}`);
+            }
+        }
+        this.overlay.dataset.subtitleScope = String(this.styleScope);
+        if (this.canvasBackend) this.canvasBackend.looks = {}; // Text colour/font may come from ::cue now
+    }
+
+    removeCueStyles() {
+        const installed = this.cueStyleSheet;
+        if (!installed) return;
+        this.cueStyleSheet = null;
+        if (typeof CSSStyleSheet === 'function' && installed instanceof CSSStyleSheet) {
+            const root = this.overlay.getRootNode ? this.overlay.getRootNode() : document;
+            root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== installed);
+        } else {
+            installed.remove();
+        }
+        if (this.canvasBackend) this.canvasBackend.looks = {};
+    }
+
+    scopeCueRules(css) {
+        // ::cue and ::cue(selector) rules -> rules on the cue elements in this overlay.
+        // Selectors use WebVTT names, so they are mapped to the DOM built by buildVTTCue:
+        // c/v/lang -> span[data-vtt-tag], [voice] -> [data-voice], #id -> the cue's data-cue-id,
+        // :past/:future -> the classes applyAnimations toggles. Other rules (::cue-region, plain
+        // selectors, at-rules) are dropped, as are declarations that would fetch anything.
+        const root = `[data-subtitle-scope="${this.styleScope}"] .vtt-style`;
+        const rules = [];
+        const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+        const pattern = /([^{}]*)\{([^{}]*)\}/g;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            const declarations = match[2].split(';')
+                .filter(decl => decl.trim() && !/url\s*\(|image-set\s*\(|@import|expression\s*\(/i.test(decl))
+                .join(';');
+            if (!declarations.trim() || match[1].trim().startsWith('@')) continue;
+
+            const selectors = [];
+            for (const selector of this.splitSelectorList(match[1])) {
+                const cue = selector.trim().match(/^::cue(?:\((.*)\))?$/);
+                if (!cue) continue;
+                if (cue[1] === undefined) {
+                    selectors.push(root);
+                    continue;
+                }
+                const inner = cue[1]
+                    .replace(/:past\b/g, '.vtt-past')
+                    .replace(/:future\b/g, '.vtt-future')
+                    .replace(/\[voice\b/g, '[data-voice')
+                    .replace(/#([\w-]+)/g, (m, id) => `[data-cue-id="${id}"]`)
+                    .replace(/(^|[\s>+~(,])(c|v|lang)(?![\w-])/g, (m, before, name) => `${before}span[data-vtt-tag="${name}"]`);
+                selectors.push(`${root}:is(${inner})`, `${root} :is(${inner})`);
+            }
+            if (selectors.length > 0) rules.push(`${selectors.join(', ')} { ${declarations.trim()} }`);
+        }
+        return rules;
+    }
+
+    splitSelectorList(selectorText) {
+        // Top-level commas only; ::cue(a, b) stays one selector
+        const selectors = [];
+        let depth = 0;
+        let current = '';
+        for (const ch of selectorText) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) {
+                selectors.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
         }
+        selectors.push(current);
+        return selectors;
+    }
+
+    readFontInfo(bytes) {
+        // Family names and style from an sfnt (TTF/OTF, first face of a TTC):
+        // name IDs 1 (family), 4 (full name) and 16 (typographic family) in every language,
+        // so scripts referring to localized names (common with Japanese fonts) still match.
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+        if (view.getUint32(0) === 0x74746366) offset = view.getUint32(12); // 'ttcf'
+
+        const tables = {};
+        const numTables = view.getUint16(offset + 4);
+        for (let i = 0; i < numTables; i++) {
+            const record = offset + 12 + i * 16;
+            const tag = String.fromCharCode(bytes[record], bytes[record + 1], bytes[record + 2], bytes[record + 3]);
+            tables[tag] = view.getUint32(record + 8);
+        }
+
+        const families = new Set();
+        if (tables.name !== undefined) {
+            const base = tables.name;
+            const count = view.getUint16(base + 2);
+            const stringOffset = base + view.getUint16(base + 4);
+            for (let i = 0; i < count; i++) {
+                const record = base + 6 + i * 12;
+                const platformID = view.getUint16(record);
+                const nameID = view.getUint16(record + 6);
+                const length = view.getUint16(record + 8);
+                const start = stringOffset + view.getUint16(record + 10);
+                if (![1, 4, 16].includes(nameID)) continue;
+
+                let name = '';
+                if (platformID === 0 || platformID === 3) {
+                    for (let j = 0; j + 1 < length; j += 2) name += String.fromCharCode(view.getUint16(start + j));
+                } else if (platformID === 1) {
+                    for (let j = 0; j < length; j++) name += String.fromCharCode(bytes[start + j]);
+                }
+                name = name.replace(/\0/g, '').trim();
+                if (name) families.add(name);
+            }
+        }
+
+        const descriptors = {};
+        if (tables['OS/2'] !== undefined) {
+            const base = tables['OS/2'];
+            const weight = view.getUint16(base + 4);
+            if (weight >= 1 && weight <= 1000) descriptors.weight = String(weight);
+            if (view.getUint16(base + 62) & 1) descriptors.style = 'italic';
+        }
+
+        return { families: Array.from(families), descriptors };
+    }
+
+    attach() {
+        // Lets the renderer follow the video by itself instead of the page wiring events:
+        // timeupdate, seeked and ratechange update; loadedmetadata, fullscreen changes and any
+        // change of the video element's size (ResizeObserver) resize. Undone by destroy().
+        if (this.watcher || this.destroyed) return this;
+        this.watcher = new VideoWatcher(this.video, this.overlay, {
+            update: () => this.update(),
+            resize: () => this.resize(),
+            log: (level, ...args) => this.log(level, ...args)
+        });
+        this.watcher.start();
+        this.resize();
+        this.update();
+        return this;
+    }
+
+    destroy() {
+        // Removes everything the renderer added to the page: listeners, render loop, fonts, cue
+        // styles, rendered lines (or canvas) and the overlay's inline size, e.g. when an SPA route
+        // unmounts the player. Loads still in flight are cancelled (fetch included) and reject
+        // with an AbortError.
+        if (this.destroyed) return;
+        this.destroyController.abort(new DOMException('The renderer was destroyed', 'AbortError'));
+        if (this.watcher) {
+            this.watcher.stop();
+            this.watcher = null;
+        }
+        this.stopRenderLoop();
+        this.disable();
+        this.canvasBackend = null;
+        for (const [key, value] of Object.entries(this.overlayStyle)) this.overlay.style[key] = value;
+        this.destroyed = true;
+        this.log('log', '[SubtitleRenderer] Destroyed');
     }
 
     disable() {
+        this.unloadFonts();
+        this.removeCueStyles();
         this.isEnabled = false;
         this.cues = [];
+        const exited = this.activeCues;
         this.activeCues = [];
-        this.overlay.innerHTML = '';
+        this.regions = {};
+        this.regionCues = {};
+        this.collisionShifts = new Map();
+        this.renderedElements = [];
+        this.renderedRuns = [];
+        this.renderedTimedNodes = [];
+        this.renderedProjections = [];
+        this.overlay.replaceChildren();
+        if (exited.length > 0) this.emit('cuechange', { entered: [], exited, active: [] });
     }
 
     parseVTT(text) {
-        const lines = text.split(/\r?\n/);
-        let i = 0;
+        // Parsing itself is in parser.js; the renderer keeps the cues, regions and diagnostics
+        const doc = parser.parseVTT(text);
+        this.regions = doc.regions;
+        this.cueStyleSheets = doc.styleSheets;
+        this.cues = this.cues.concat(doc.cues);
+        this.reportDiagnostics(doc);
+        return doc;
+    }
 
-        // Skip header
-        if (lines[0].startsWith('WEBVTT')) i++;
+    parseSRT(text) {
+        const doc = parser.parseSRT(text);
+        this.cues = this.cues.concat(doc.cues);
+        this.reportDiagnostics(doc);
+        return doc;
+    }
 
-        while (i < lines.length) {
-            let line = lines[i].trim();
+    parseASS(text) {
+        const doc = parser.parseASS(text);
+        this.assParams = doc.assParams;
+        this.scriptType = doc.scriptType;
+        this.scriptInfo = doc.scriptInfo;
+        this.styleFormat = doc.styleFormat;
+        this.eventFormat = doc.eventFormat;
+        Object.assign(this.styles, doc.styles);
+        this.cues = this.cues.concat(doc.cues);
+        this.embeddedFonts = doc.fonts;
+        this.reportDiagnostics(doc);
+        return doc;
+    }
 
-            // Skip empty lines or notes
-            if (!line || line.startsWith('NOTE')) {
-                i++;
-                continue;
-            }
+    reportDiagnostics(doc) {
+        // Keeps the parse diagnostics for the load event and logs them
+        const prefix = { vtt: '[VTT-Debug]', srt: '[SRT-Debug]', ass: '[ASS-Debug]' }[doc.format];
+        this.diagnostics = doc.diagnostics;
+        for (const d of doc.diagnostics) {
+            this.log(d.severity === 'info' ? 'log' : 'warn', `${prefix} Line ${d.line}:${d.column} ${d.severity}: ${d.message}`);
+        }
+    }
+
+    cssFontFamily(name) {
+        // Quote single family names so ones with digits or symbols ("Arial 2", "@MS Gothic") stay valid CSS
+        if (!name || name.includes(',') || /^["']/.test(name)) return name;
+        return `"${name.replace(/["\\]/g, '\\$&')}"`;
+    }
+
+    parseOverrides(text) {
+        return parser.parseOverrides(text);
+    }
+
+    getTransformProgress(transform, elapsed, duration) {
+        // Progress of one \t at `elapsed` ms into the line, with acceleration applied
+        const t1 = transform.t1 !== undefined ? transform.t1 : 0;
+        const t2 = transform.t2 !== undefined ? transform.t2 : duration;
+        if (elapsed <= t1) return 0;
+        if (elapsed >= t2 || t2 <= t1) return 1;
+        return Math.pow((elapsed - t1) / (t2 - t1), transform.accel);
+    }
 
-            // Check for Cue Identifier (optional)
-            if (!line.includes('-->')) {
-                i++; // Skip identifier line
-                if (i >= lines.length) break;
-                line = lines[i].trim();
-            }
-
-            // Parse Timing: 00:00:00.000 --> 00:00:05.000
-            if (line.includes('-->')) {
-                const parts = line.split('-->');
-                const start = this.parseTime(parts[0].trim());
-                const end = this.parseTime(parts[1].trim());
-
-                // Collect text payload
-                let payload = [];
-                i++;
-                while (i < lines.length && lines[i].trim() !== '') {
-                    const lineStr = lines[i];
-                    // Filter ASS drawing commands often found in raw VTT extractions
-                    // Pattern: 'm <coords> ...'
-                    if (/^m\s+-?\d+/.test(lineStr.trim())) {
-                        console.warn(`[VTT-Debug] Ignored drawing line: "${lineStr.substring(0, 50)}..."`);
-                    } else {
-                        payload.push(lineStr);
+    applyTransforms(state, transforms, elapsed, duration) {
+        // Each \t animates from the value left by the ones before it, so several blocks combine in order
+        if (!transforms || transforms.length === 0) return state;
+        const result = { ...state };
+
+        for (const transform of transforms) {
+            const k = this.getTransformProgress(transform, elapsed, duration);
+            for (const [key, target] of Object.entries(transform.tags)) {
+                const from = result[key];
+                if (typeof target === 'number' && typeof from === 'number') {
+                    result[key] = from + (target - from) * k;
+                } else if (target && typeof target === 'object' && from && typeof from === 'object') {
+                    const value = {};
+                    for (const channel of Object.keys(target)) {
+                        value[channel] = from[channel] + (target[channel] - from[channel]) * k;
                     }
-                    i++;
+                    result[key] = value;
                 }
+            }
+        }
 
-                if (payload.length === 0) {
-                    console.warn(`[VTT-Debug] Skipped cue with no valid payload at ${start} --> ${end}`);
-                    continue;
+        return result;
+    }
+
+    getStyleState(style) {
+        // Resolved defaults for a style; run overrides are spread on top of this
+        const primary = parser.parseASSColor(style.PrimaryColour) || { r: 255, g: 255, b: 255, a: 0 };
+        const secondary = parser.parseASSColor(style.SecondaryColour) || { r: 255, g: 0, b: 0, a: 0 };
+        const outline = parser.parseASSColor(style.OutlineColour) || { r: 0, g: 0, b: 0, a: 0 };
+        const back = parser.parseASSColor(style.BackColour) || { r: 0, g: 0, b: 0, a: 128 };
+        const outlineWidth = parseFloat(style.Outline);
+        const shadowDepth = parseFloat(style.Shadow);
+        const number = (value, fallback) => isNaN(parseFloat(value)) ? fallback : parseFloat(value);
+        const flag = value => value === '-1' || value === '1';
+
+        return {
+            fontName: style.Fontname || 'Arial, sans-serif',
+            fontSize: parseFloat(style.Fontsize) || 20,
+            bold: flag(style.Bold) ? 1 : 0,
+            italic: flag(style.Italic),
+            underline: flag(style.Underline),
+            strikeout: flag(style.StrikeOut),
+            primaryColor: { r: primary.r, g: primary.g, b: primary.b },
+            secondaryColor: { r: secondary.r, g: secondary.g, b: secondary.b },
+            outlineColor: { r: outline.r, g: outline.g, b: outline.b },
+            backColor: { r: back.r, g: back.g, b: back.b },
+            primaryAlpha: primary.a,
+            secondaryAlpha: secondary.a,
+            outlineAlpha: outline.a,
+            backAlpha: back.a,
+            borderX: isNaN(outlineWidth) ? 2 : Math.max(0, outlineWidth),
+            borderY: isNaN(outlineWidth) ? 2 : Math.max(0, outlineWidth),
+            shadowX: isNaN(shadowDepth) ? 0 : Math.max(0, shadowDepth),
+            shadowY: isNaN(shadowDepth) ? 0 : Math.max(0, shadowDepth),
+            borderStyle: parseInt(style.BorderStyle) === 3 ? 3 : 1, // 3 = opaque box in OutlineColour
+            blur: 0,
+            be: 0,
+            fontScaleX: Math.max(0, number(style.ScaleX, 100)),
+            fontScaleY: Math.max(0, number(style.ScaleY, 100)),
+            spacing: number(style.Spacing, 0)
+        };
+    }
+
+    resolveRunState(run, cue) {
+        // What a run looks like, lowest to highest precedence:
+        //   1. the line's style (or the style named by the last \r; unknown styles use Default)
+        //   2. the override tags since then, in order, so a later tag wins over an earlier one.
+        //      \bord/\shad set both axes and \xbord/\ybord/\xshad/\yshad one, \alpha sets all
+        //      four alphas and \1a-\4a one, \c is \1c. A tag without a value goes back to the style.
+        //   3. \t animations, starting from the result of 1 and 2 (see applyTransforms)
+        // Line-wide tags (\pos, \move, \an, \fad, \org, \clip, rotation, shearing) are in cue.overrides
+        // instead, see parser.parseOverrides for which occurrence wins.
+        const style = this.styles[run.styleName || cue.styleName] || this.styles['Default'] || {};
+        return { ...this.getStyleState(style), ...run.tags };
+    }
+
+    drawingToPathData(segments, scaleX, scaleY, offsetX = 0, offsetY = 0) {
+        // SVG / CSS path() data from parsed drawing segments
+        const fmt = ([x, y]) => `${+(x * scaleX + offsetX).toFixed(2)} ${+(y * scaleY + offsetY).toFixed(2)}`;
+        return segments.map(seg => `${seg.type} ${seg.points.map(fmt).join(' ')}`).join(' ');
+    }
+
+    parseTime(timeStr) {
+        return parser.parseTime(timeStr);
+    }
+
+    assColorToCss(assColor) {
+        // &HAABBGGRR / &HBBGGRR -> rgba(), kept for callers of the old public method
+        const value = /^&?H/i.test(assColor) ? assColor : `&H${assColor}`; // Bare hex, as before
+        const color = parser.parseASSColor(value) || { r: 0, g: 0, b: 0, a: 0 };
+        return this.rgbaString(color, color.a);
+    }
+
+    rgbaString(color, alpha) {
+        return `rgba(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)}, ${(1 - alpha / 255).toFixed(2)})`;
+    }
+
+    exportTrack(format = this.format, options = {}) {
+        // Writes the loaded track as 'vtt', 'srt' or 'ass'.
+        // options.applyTiming (default true) bakes setOffset/setScale into the cue times.
+        const cues = this.getExportCues(options.applyTiming !== false);
+        switch (format) {
+            case 'vtt': return this.serializeVTT(cues);
+            case 'srt': return this.serializeSRT(cues);
+            case 'ass':
+            case 'ssa': return this.serializeASS(cues);
+            default: throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    getExportCues(applyTiming) {
+        if (!applyTiming) return this.cues;
+        const { offset, scale } = this.timing;
+        return this.cues.map(cue => ({
+            ...cue,
+            start: Math.max(0, cue.start * scale + offset / 1000),
+            end: Math.max(0, cue.end * scale + offset / 1000),
+            // For inline/karaoke timestamps; times inside ASS override tags are not rescaled
+            timeScale: scale,
+            timeOffset: offset / 1000
+        }));
+    }
+
+    serializeVTT(cues) {
+        const blocks = ['WEBVTT'];
+        for (const region of Object.values(this.format === 'vtt' ? this.regions : {})) {
+            blocks.push(`REGION\n${this.formatVTTRegion(region)}`);
+        }
+
+        for (const cue of cues) {
+            let text;
+            let settings = cue.settings || {};
+            if (cue.format === 'vtt') {
+                text = cue.text.split('<br>').join('\n');
+                if (cue.timeScale !== undefined) {
+                    // Inline timestamps move with the cue
+                    text = text.replace(/<(\d[\d:.]*)>/g, (tag, time) => {
+                        return `<${this.formatTimestamp(this.parseTime(time) * cue.timeScale + cue.timeOffset, 'vtt')}>`;
+                    });
                 }
+            } else if (cue.format === 'ass') {
+                text = this.runsToMarkup(this.getASSCueRuns(cue), 'vtt');
+                settings = this.getASSCueVTTSettings(cue);
+            } else {
+                text = this.runsToMarkup(parser.parseCueMarkup(cue.text), 'vtt');
+            }
+            text = this.removeBlankLines(text);
+            if (!text) continue;
+
+            const settingsText = this.formatVTTSettings(settings);
+            const timing = `${this.formatTimestamp(cue.start, 'vtt')} --> ${this.formatTimestamp(cue.end, 'vtt')}${settingsText ? ' ' + settingsText : ''}`;
+            blocks.push(`${cue.id ? cue.id + '\n' : ''}${timing}\n${text}`);
+        }
 
-                const textContent = payload.join('<br>');
+        return blocks.join('\n\n') + '\n';
+    }
 
-                // Deduplicate consecutive identical cues
-                let isDuplicate = false;
-                if (this.cues.length > 0) {
-                    const last = this.cues[this.cues.length - 1];
-                    if (last.start === start && last.end === end && last.text === textContent) {
-                        console.log(`[VTT-Debug] Deduplicated cue: ${start} --> ${end}`);
-                        isDuplicate = true;
-                    }
+    serializeSRT(cues) {
+        const blocks = [];
+        for (const cue of cues) {
+            let text;
+            let alignment;
+            if (cue.format === 'srt') {
+                text = cue.rawText;
+            } else if (cue.format === 'ass') {
+                text = this.runsToMarkup(this.getASSCueRuns(cue), 'srt');
+                alignment = this.getASSAlignment(cue);
+            } else {
+                text = this.runsToMarkup(parser.parseCueMarkup(cue.text), 'srt');
+                alignment = this.getTextCueAlignment(cue);
+            }
+            text = this.removeBlankLines(text);
+            if (!text) continue;
+            // Position hint understood by most players (and parseSRT)
+            if (alignment && alignment !== 2) text = `{\\an${alignment}}${text}`;
+
+            blocks.push(`${blocks.length + 1}\n${this.formatTimestamp(cue.start, 'srt')} --> ${this.formatTimestamp(cue.end, 'srt')}\n${text}`);
+        }
+        return blocks.join('\n\n') + '\n';
+    }
+
+    serializeASS(cues) {
+        // ASS sources keep their [Script Info] fields, style and event columns and embedded fonts;
+        // other formats get a 1920x1080 script with one Default style. SSA v4 sources are written
+        // as V4+ with the standard columns, since their styles were converted on load.
+        const fromASS = this.format === 'ass';
+        const keepColumns = fromASS && this.scriptType !== 'v4.00';
+        const info = fromASS
+            ? ('ScriptType' in this.scriptInfo ? { ...this.scriptInfo } : { ScriptType: 'v4.00+', ...this.scriptInfo })
+            : { ScriptType: 'v4.00+', PlayResX: '1920', PlayResY: '1080', WrapStyle: '0', ScaledBorderAndShadow: 'yes' };
+        if (!keepColumns) info.ScriptType = 'v4.00+';
+        const styleFormat = keepColumns && this.styleFormat ? this.styleFormat : parser.ASS_STYLE_FORMAT;
+        const eventFormat = keepColumns && this.eventFormat ? this.eventFormat : parser.ASS_EVENT_FORMAT;
+        const styles = fromASS && Object.keys(this.styles).length > 0 ? Object.values(this.styles) : [ASS_DEFAULT_STYLE];
+
+        const out = ['[Script Info]'];
+        for (const [key, value] of Object.entries(info)) out.push(`${key}: ${value}`);
+
+        out.push('', '[V4+ Styles]', `Format: ${styleFormat.join(', ')}`);
+        for (const style of styles) {
+            out.push(`Style: ${styleFormat.map(key => style[key] !== undefined ? style[key] : (ASS_DEFAULT_STYLE[key] || '')).join(',')}`);
+        }
+
+        if (fromASS && this.embeddedFonts.length > 0) {
+            out.push('', '[Fonts]');
+            for (const font of this.embeddedFonts) {
+                out.push(`fontname: ${font.name}`, ...(this.encodeUUFont(font.data).match(/.{1,80}/g) || []));
+            }
+        }
+
+        out.push('', '[Events]', `Format: ${eventFormat.join(', ')}`);
+        for (const cue of cues) {
+            let text;
+            if (cue.format === 'ass') {
+                text = cue.rawText;
+            } else {
+                const alignment = this.getTextCueAlignment(cue);
+                text = (alignment !== 2 ? `{\\an${alignment}}` : '') + this.markupToASSText(parser.parseCueMarkup(cue.text));
+            }
+
+            const fields = cue.fields || {};
+            const values = eventFormat.map(key => {
+                switch (key) {
+                    case 'Layer': return String(cue.layer || 0);
+                    case 'Start': return this.formatTimestamp(cue.start, 'ass');
+                    case 'End': return this.formatTimestamp(cue.end, 'ass');
+                    case 'Style': return cue.styleName || 'Default';
+                    case 'Text': return text;
+                    default: return fields[key] !== undefined ? fields[key] : (key.startsWith('Margin') ? '0' : '');
                 }
+            });
+            out.push(`Dialogue: ${values.join(',')}`);
+        }
 
-                if (isDuplicate) continue;
+        return out.join('\n') + '\n';
+    }
 
-                this.cues.push({
-                    start,
-                    end,
-                    text: textContent,
-                    html: textContent.replace(/<v [^>]+>/g, '').replace(/<\/v>/g, ''), // Basic strip of voice tags
-                    format: 'vtt'
-                });
-                console.log(`[VTT-Debug] Accepted: ${start} --> ${end} : "${textContent.substring(0, 30)}..."`);
+    formatTimestamp(seconds, format) {
+        // vtt 00:01:02.345, srt 00:01:02,345, ass 0:01:02.35
+        const perSecond = format === 'ass' ? 100 : 1000;
+        const units = Math.max(0, Math.round(seconds * perSecond));
+        const total = Math.floor(units / perSecond);
+        const fraction = units % perSecond;
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const clock = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+
+        if (format === 'ass') return `${Math.floor(total / 3600)}:${clock}.${pad(fraction)}`;
+        return `${pad(Math.floor(total / 3600))}:${clock}${format === 'srt' ? ',' : '.'}${pad(fraction, 3)}`;
+    }
+
+    formatVTTSettings(settings) {
+        const parts = [];
+        const pct = value => `${Math.round(value * 1000) / 1000}%`;
+        if (settings.vertical) parts.push(`vertical:${settings.vertical}`);
+        if (settings.line !== undefined) {
+            const line = settings.snapToLines === false ? pct(settings.line) : String(settings.line);
+            parts.push(`line:${line}${settings.lineAlign ? ',' + settings.lineAlign : ''}`);
+        }
+        if (settings.position !== undefined) {
+            parts.push(`position:${pct(settings.position)}${settings.positionAlign ? ',' + settings.positionAlign : ''}`);
+        }
+        if (settings.size !== undefined) parts.push(`size:${pct(settings.size)}`);
+        if (settings.align && settings.align !== 'center') parts.push(`align:${settings.align}`);
+        if (settings.region) parts.push(`region:${settings.region}`);
+        return parts.join(' ');
+    }
+
+    formatVTTRegion(region) {
+        const parts = [
+            `id:${region.id}`,
+            `width:${region.width}%`,
+            `lines:${region.lines}`,
+            `regionanchor:${region.regionAnchor.x}%,${region.regionAnchor.y}%`,
+            `viewportanchor:${region.viewportAnchor.x}%,${region.viewportAnchor.y}%`
+        ];
+        if (region.scroll) parts.push(`scroll:${region.scroll}`);
+        return parts.join(' ');
+    }
+
+    getASSCueRuns(cue) {
+        // ASS line flattened to what VTT/SRT can express: bold, italic, underline, strikeout,
+        // primary colour and karaoke start times. Drawings, outlines and animations are dropped.
+        const runs = [];
+        let syllable = null;
+        for (const run of cue.runs || []) {
+            if (run.drawing) continue;
+            // Runs split by other tags share their syllable's karaoke object: one timestamp per
+            // syllable, and only inside the cue as WebVTT requires
+            if (run.karaoke && run.karaoke !== syllable) {
+                syllable = run.karaoke;
+                const timestamp = cue.start + syllable.start / 1000 * (cue.timeScale || 1);
+                if (timestamp > cue.start && timestamp < cue.end) runs.push({ text: '', timestamp });
+            }
+            const state = this.resolveRunState(run, cue);
+            const { r, g, b } = state.primaryColor;
+            const hex = '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+            runs.push({
+                text: run.text,
+                bold: this.fontWeight(state.bold) === 'bold' || state.bold >= 600,
+                italic: !!state.italic,
+                underline: !!state.underline,
+                strikeout: !!state.strikeout,
+                color: hex === '#ffffff' ? null : hex
+            });
+        }
+        return runs;
+    }
+
+    getASSCueVTTSettings(cue) {
+        // \an and \pos (or the \move start) as WebVTT cue settings; margins are not carried over
+        const overrides = cue.overrides || {};
+        const alignment = this.getASSAlignment(cue);
+        const column = (alignment - 1) % 3;
+        const row = alignment <= 3 ? 2 : alignment <= 6 ? 1 : 0; // 0 top, 1 middle, 2 bottom
+        const settings = { align: ['left', 'center', 'right'][column] };
+
+        const point = overrides.pos || (overrides.move && { x: overrides.move.x1, y: overrides.move.y1 });
+        if (point) {
+            settings.position = point.x / this.assParams.playResX * 100;
+            settings.positionAlign = ['line-left', 'center', 'line-right'][column];
+            settings.line = point.y / this.assParams.playResY * 100;
+            settings.snapToLines = false;
+            settings.lineAlign = ['start', 'center', 'end'][row];
+        } else if (row === 0) {
+            settings.line = 0;
+            settings.snapToLines = true;
+        } else if (row === 1) {
+            settings.line = 50;
+            settings.snapToLines = false;
+            settings.lineAlign = 'center';
+        }
+        return settings;
+    }
+
+    getTextCueAlignment(cue) {
+        // Numpad alignment of a VTT/SRT cue, the inverse of parser.srtAlignmentToVTTSettings
+        if (cue.alignment) return cue.alignment;
+        const s = cue.settings || {};
+        let row = 0; // 0 bottom, 1 middle, 2 top
+        if (s.line !== undefined) {
+            if (s.snapToLines === false) row = s.line < 34 ? 2 : s.line < 67 ? 1 : 0;
+            else row = s.line >= 0 ? 2 : 0;
+        }
+        const align = s.align || 'center';
+        const column = align === 'left' || align === 'start' ? 1 : align === 'right' || align === 'end' ? 3 : 2;
+        return row * 3 + column;
+    }
+
+    runsToMarkup(runs, target) {
+        // Formatted runs -> VTT or SRT inline tags, only reopening tags where the formatting changes.
+        // VTT has no strikeout or inline colour; SRT has no timestamps.
+        const names = target === 'srt' ? ['b', 'i', 'u', 's'] : ['b', 'i', 'u'];
+        const keys = { b: 'bold', i: 'italic', u: 'underline', s: 'strikeout' };
+        let out = '';
+        let open = []; // [name, opening tag]
+
+        for (const run of runs) {
+            if (run.timestamp !== undefined) {
+                if (target === 'vtt') out += `<${this.formatTimestamp(run.timestamp, 'vtt')}>`;
+                continue;
+            }
+            if (!run.text) continue;
+
+            const wanted = names.filter(name => run[keys[name]]).map(name => [name, `<${name}>`]);
+            if (target === 'srt' && run.color) wanted.push(['font', `<font color="${run.color}">`]);
+
+            let keep = 0;
+            while (keep < open.length && keep < wanted.length && open[keep][1] === wanted[keep][1]) keep++;
+            for (let i = open.length - 1; i >= keep; i--) out += `</${open[i][0]}>`;
+            for (let i = keep; i < wanted.length; i++) out += wanted[i][1];
+            open = wanted;
+
+            // SRT has no character references, its text is written as is
+            out += target === 'vtt' ? parser.escapeMarkup(run.text) : run.text;
+        }
+        for (let i = open.length - 1; i >= 0; i--) out += `</${open[i][0]}>`;
+        return out;
+    }
+
+    markupToASSText(runs) {
+        // Formatted runs -> ASS text with override tags where the formatting changes
+        let out = '';
+        let current = { bold: false, italic: false, underline: false, strikeout: false, color: null };
+
+        for (const run of runs) {
+            if (!run.text) continue;
+            const next = {
+                bold: !!run.bold,
+                italic: !!run.italic,
+                underline: !!run.underline,
+                strikeout: !!run.strikeout,
+                color: this.cssColorToASS(run.color)
+            };
+
+            let tags = '';
+            if (next.bold !== current.bold) tags += `\\b${next.bold ? 1 : 0}`;
+            if (next.italic !== current.italic) tags += `\\i${next.italic ? 1 : 0}`;
+            if (next.underline !== current.underline) tags += `\\u${next.underline ? 1 : 0}`;
+            if (next.strikeout !== current.strikeout) tags += `\\s${next.strikeout ? 1 : 0}`;
+            if (next.color !== current.color) tags += `\\c${next.color || ''}`; // Empty \c resets to the style colour
+            if (tags) out += `{${tags}}`;
+            current = next;
+
+            out += run.text.replace(/\n/g, '\\N');
+        }
+        return out;
+    }
+
+    cssColorToASS(color) {
+        // #rgb / #rrggbb -> &HBBGGRR&, anything else (named colours) is dropped
+        let hex = (color || '').replace(/^#/, '');
+        if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.replace(/./g, c => c + c);
+        if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+        return `&H${(hex.substring(4, 6) + hex.substring(2, 4) + hex.substring(0, 2)).toUpperCase()}&`;
+    }
+
+    removeBlankLines(text) {
+        // A blank line would end the cue in VTT/SRT
+        return text.split('\n').filter(line => line.replace(/<[^>]*>/g, '').trim() !== '').join('\n');
+    }
+
+    encodeUUFont(data) {
+        // Inverse of parser.decodeUUFont
+        let out = '';
+        for (let i = 0; i < data.length; i += 3) {
+            const count = Math.min(3, data.length - i);
+            const bits = (data[i] << 16) | ((count > 1 ? data[i + 1] : 0) << 8) | (count > 2 ? data[i + 2] : 0);
+            for (let j = 0; j <= count; j++) out += String.fromCharCode(((bits >> (18 - j * 6)) & 0x3F) + 33);
+        }
+        return out;
+    }
+
+    buildCueIndex() {
+        this.cueIndex = new CueIndex(this.cues);
+    }
+
+    update(mediaTime) {
+        if (!this.isEnabled) return;
+
+        // The render loop passes the presented frame's media time; event listeners may pass an Event
+        const time = this.toTrackTime(typeof mediaTime === 'number' ? mediaTime : this.video.currentTime);
+
+        // Cues parsed or edited outside loadTrack get indexed on first use
+        if (!this.cueIndex || this.cueIndex.cues !== this.cues || this.cueIndex.size !== this.cues.length) {
+            this.buildCueIndex();
+        }
+        // Paint order: lower layers first, file order within a layer (as libass does)
+        const active = this.cueIndex.query(time).sort(this.compareCueStacking);
+
+        // Simple diff check (avoid redraw if same cues)
+        const changed = active.length !== this.activeCues.length || active.some((cue, i) => cue !== this.activeCues[i]);
+
+        if (changed) {
+            const firstText = active.length > 0 ? active[0].text.substring(0, 30).replace(/<[^>]*>/g, '') + '...' : 'None';
+            this.log('log', `[SubtitleRenderer] Active cues changed: ${active.length} active. First: "${firstText}"`);
+            const previous = new Set(this.activeCues);
+            const current = new Set(active);
+            const entered = active.filter(cue => !previous.has(cue));
+            const exited = this.activeCues.filter(cue => !current.has(cue));
+            this.activeCues = active;
+            this.render();
+            this.emit('cuechange', { entered, exited, active: active.slice() });
+        }
+
+        // Apply animations (Fade, etc) every frame
+        this.applyAnimations(time);
+    }
+
+    toTrackTime(mediaTime = this.video.currentTime) {
+        // Media time -> time in the subtitle file: cues show at start * scale + offset.
+        // Everything downstream (cue lookup, \fad, \move, \t, karaoke) runs on track time,
+        // so animations stay relative to the adjusted cue times.
+        return (mediaTime - this.timing.offset / 1000) / this.timing.scale;
+    }
+
+    setOffset(ms) {
+        // Positive values show subtitles later
+        if (!Number.isFinite(ms)) throw new RangeError('Subtitle offset must be a finite number of milliseconds');
+        this.timing.offset = ms;
+        this.update();
+    }
+
+    setScale(factor) {
+        // Stretches cue times, e.g. 23.976 / 25 for a track timed for 23.976 fps on a 25 fps (PAL) video
+        if (!Number.isFinite(factor) || factor <= 0) throw new RangeError('Subtitle time scale must be a positive number');
+        this.timing.scale = factor;
+        this.update();
+    }
+
+    getTiming() {
+        return { ...this.timing };
+    }
+
+    resetTiming() {
+        this.timing = { offset: 0, scale: 1 };
+        this.update();
+    }
+
+    syncToTimes(cueA, timeA, cueB, timeB) {
+        // Two-point sync: cueA should start at video time timeA and cueB at timeB (seconds).
+        // Cues are cue objects or indexes into this.cues. Works out scale and offset from them.
+        const a = typeof cueA === 'number' ? this.cues[cueA] : cueA;
+        const b = typeof cueB === 'number' ? this.cues[cueB] : cueB;
+        if (!a || !b) throw new RangeError('Sync cue not found');
+        if (a.start === b.start) throw new RangeError('Sync cues must start at different times');
+
+        const scale = (timeB - timeA) / (b.start - a.start);
+        if (!Number.isFinite(scale) || scale <= 0) throw new RangeError('Sync times must keep the cues in order');
+        this.timing = { offset: (timeA - a.start * scale) * 1000, scale };
+        this.update();
+        return this.getTiming();
+    }
+
+    compareCueStacking(a, b) {
+        // Stable sort keeps file order for cues without layer/index (VTT, SRT)
+        return ((a.layer || 0) - (b.layer || 0)) || ((a.index || 0) - (b.index || 0));
+    }
+
+    startRenderLoop() {
+        // Opt-in per-frame updates owned by the renderer, see FrameLoop
+        if (this.destroyed) return;
+        this.frameLoop.start();
+    }
+
+    stopRenderLoop() {
+        this.frameLoop.stop();
+    }
+
+    getFadeOpacity(cue, time) {
+        // \fad: opacity at a media time, 1 when the line doesn't fade
+        const fade = cue.overrides && cue.overrides.fade;
+        if (!fade) return 1;
+
+        const { t1, t2 } = fade;
+        let opacity = 1;
+        const elapsed = (time - cue.start) * 1000; // ms
+        const remaining = (cue.end - time) * 1000;
+
+        if (elapsed < t1) opacity = elapsed / t1;
+        else if (remaining < t2) opacity = remaining / t2;
+
+        return Math.max(0, Math.min(1, opacity));
+    }
+
+    getMovePosition(cue, time) {
+        // \move: current position in script coordinates
+        const { x1, y1, x2, y2, t1, t2 } = cue.overrides.move;
+        const duration = (cue.end - cue.start) * 1000;
+        // If t1/t2 not specified, move over full duration
+        const startTime = (t1 !== undefined) ? t1 : 0;
+        const endTime = (t2 !== undefined) ? t2 : duration;
+
+        const elapsed = (time - cue.start) * 1000;
+        let progress = 0;
+
+        if (endTime > startTime) {
+            if (elapsed <= startTime) progress = 0;
+            else if (elapsed >= endTime) progress = 1;
+            else progress = (elapsed - startTime) / (endTime - startTime);
+        } else {
+            progress = 1; // Instant move?
+        }
+
+        return { x: x1 + (x2 - x1) * progress, y: y1 + (y2 - y1) * progress };
+    }
+
+    getAnimatedClip(cue, elapsed, duration) {
+        // \clip/\iclip with any \t rectangle transforms applied
+        const overrides = cue.overrides || {};
+        if (!overrides.clipTransforms) return overrides.clip || null;
+
+        const baseClip = overrides.clip && overrides.clip.rect ? overrides.clip : {
+            inverse: false,
+            rect: { x1: 0, y1: 0, x2: this.assParams.playResX, y2: this.assParams.playResY }
+        };
+        const rect = this.applyTransforms(baseClip.rect, overrides.clipTransforms, elapsed, duration);
+        return { inverse: baseClip.inverse, rect };
+    }
+
+    getKaraokeProgress(karaoke, elapsed) {
+        // 0..1 share of the syllable that has been sung (\kf wipes, \k and \ko switch)
+        if (karaoke.type === 'kf' && karaoke.duration > 0) {
+            return Math.max(0, Math.min(1, (elapsed - karaoke.start) / karaoke.duration));
+        }
+        return elapsed >= karaoke.start ? 1 : 0;
+    }
+
+    applyAnimations(time) {
+        if (this.canvasBackend) {
+            // The canvas is repainted as a whole every update
+            this.canvasBackend.draw(time);
+            return;
+        }
+        if (this.activeCues.length === 0) return;
+
+        for (let i = 0; i < this.activeCues.length; i++) {
+            const cue = this.activeCues[i];
+            const div = this.renderedElements[i];
+            if (!div) continue;
+
+            // Handle Fade (\fad)
+            if (cue.overrides && cue.overrides.fade) {
+                div.style.opacity = this.getFadeOpacity(cue, time);
+            }
+
+            // Handle Move (\move)
+            if (cue.overrides && cue.overrides.move && this.activeScaleX && this.activeScaleY) {
+                const position = this.getMovePosition(cue, time);
+                div.style.left = (position.x * this.activeScaleX) + 'px';
+                div.style.top = (position.y * this.activeScaleY) + 'px';
+            }
+
+            const elapsed = (time - cue.start) * 1000;
+            const duration = (cue.end - cue.start) * 1000;
+
+            // Handle animated rotation and shearing (\t with \frx/\fry/\frz/\fax/\fay), and \move carrying the origin
+            const projection = this.renderedProjections[i];
+            const overrides = cue.overrides || {};
+            if (projection && projection.box && (overrides.rotationTransforms || overrides.shearTransforms || overrides.move)) {
+                this.applyProjection(cue, projection, time);
+            }
+
+            // Handle animated clip rectangles (\t with \clip/\iclip)
+            if (cue.overrides && cue.overrides.clipTransforms && div.closest('.subtitle-clip')) {
+                const parent = div.closest('.subtitle-clip');
+                this.applyClip(parent, this.getAnimatedClip(cue, elapsed, duration), parent.clientWidth, parent.clientHeight);
+            }
+
+            // Handle animated run styles (\t)
+            for (const entry of this.renderedRuns[i] || []) {
+                if (!entry.run.transforms || entry.run.transforms.length === 0) continue;
+                const state = this.applyTransforms(this.resolveRunState(entry.run, cue), entry.run.transforms, elapsed, duration);
+                const previousStretch = entry.stretch;
+                this.styleRunEntry(entry, state, this.activeScaleX, this.activeScaleY);
+                if (entry.stretch !== previousStretch) this.updateRunStretch(entry);
+            }
+
+            // WebVTT inline timestamps: what follows <00:00:01.000> is :future until then, :past after
+            for (const entry of this.renderedTimedNodes[i] || []) {
+                entry.element.classList.toggle('vtt-past', time >= entry.time);
+                entry.element.classList.toggle('vtt-future', time < entry.time);
+            }
+
+            // Handle Karaoke (\k, \kf/\K, \ko)
+            for (const entry of this.renderedRuns[i] || []) {
+                const k = entry.run.karaoke;
+                if (!k || !entry.fill) continue;
+
+                const progress = this.getKaraokeProgress(k, elapsed);
+                entry.fill.style.clipPath = `inset(0 ${(1 - progress) * 100}% 0 0)`;
+                if (k.type === 'ko') entry.span.style.textShadow = elapsed >= k.start ? entry.textShadow : 'none';
+            }
+        }
+    }
+
+    updateActiveScale(containerWidth, containerHeight) {
+        // Calculate scaling factor
+        // ASS coordinates are based on PlayResX/Y
+        // We scale everything to fit the current video container
+        let scaleX = 1;
+        let scaleY = 1;
+
+        if (this.format === 'ass' && this.assParams.playResX) {
+            scaleX = containerWidth / this.assParams.playResX;
+            // Should we preserve aspect ratio or stretch? ASS usually assumes stretch if not specified otherwise
+            scaleY = containerHeight / this.assParams.playResY;
+
+            // Most renderers use one scale factor for fonts to avoid distortion, usually based on Height or Width
+            // We'll use Y for font sizes
+        }
+
+        this.activeScaleX = scaleX;
+        this.activeScaleY = scaleY;
+
+        // Outline, shadow and blur sizes. ScaledBorderAndShadow: yes puts them in PlayRes units like
+        // everything else; otherwise they are pixels of the video (LayoutRes when the script gives one).
+        if (this.format === 'ass' && !this.assParams.scaledBorderAndShadow) {
+            const layoutW = this.assParams.layoutResX || (this.video && this.video.videoWidth) || this.assParams.playResX;
+            const layoutH = this.assParams.layoutResY || (this.video && this.video.videoHeight) || this.assParams.playResY;
+            this.activeBorderScaleX = containerWidth / layoutW;
+            this.activeBorderScaleY = containerHeight / layoutH;
+        } else {
+            this.activeBorderScaleX = scaleX;
+            this.activeBorderScaleY = scaleY;
+        }
+    }
+
+    getASSAlignment(cue) {
+        const style = this.styles[cue.styleName] || this.styles['Default'] || {};
+        return (cue.overrides && cue.overrides.alignment) || parseInt(style.Alignment) || 2; // Default bottom-center
+    }
+
+    getASSRotation(cue, elapsed, duration) {
+        // Line rotation in degrees: \frx/\fry/\frz from the line, with the style's Angle as the default
+        // \frz, and \t rotations applied when `elapsed` is given. null when the line is not rotated.
+        const style = this.styles[cue.styleName] || this.styles['Default'] || {};
+        const overrides = cue.overrides || {};
+        const set = overrides.rotation || {};
+        const angle = parseFloat(style.Angle) || 0;
+        if (!overrides.rotation && !overrides.rotationTransforms && !angle) return null;
+
+        const rotation = {
+            x: set.x !== undefined ? set.x : 0,
+            y: set.y !== undefined ? set.y : 0,
+            z: set.z !== undefined ? set.z : angle
+        };
+        if (!overrides.rotationTransforms || elapsed === undefined) return rotation;
+        return this.applyTransforms(rotation, overrides.rotationTransforms, elapsed, duration);
+    }
+
+    getASSShear(cue, elapsed, duration) {
+        // Line shearing { x: \fax, y: \fay }, with \t applied when `elapsed` is given. null when not sheared.
+        const overrides = cue.overrides || {};
+        if (!overrides.shear && !overrides.shearTransforms) return null;
+        const shear = { x: 0, y: 0, ...overrides.shear };
+        if (!overrides.shearTransforms || elapsed === undefined) return shear;
+        return this.applyTransforms(shear, overrides.shearTransforms, elapsed, duration);
+    }
+
+    getASSProjection(cue, anchor, box, elapsed, duration) {
+        // Where libass draws a point of the flat line, as a 3x3 matrix (rows) over overlay pixels.
+        // The line is sheared (\fax about its top edge, \fay about its left edge), turned by \frz, \frx
+        // and then \fry around the origin (\org, or the line's alignment point `anchor`), and projected
+        // with VSFilter's camera distance: 20000 in 1/8 pixels of the script. null for a flat line.
+        const rotation = this.getASSRotation(cue, elapsed, duration) || { x: 0, y: 0, z: 0 };
+        const shear = this.getASSShear(cue, elapsed, duration) || { x: 0, y: 0 };
+        if (!rotation.x && !rotation.y && !rotation.z && !shear.x && !shear.y) return null;
+
+        const overrides = cue.overrides || {};
+        const origin = overrides.org
+            ? { x: overrides.org.x * this.activeScaleX, y: overrides.org.y * this.activeScaleY }
+            : anchor;
+        const radians = Math.PI / 180;
+        const sinX = -Math.sin(rotation.x * radians);
+        const cosX = Math.cos(rotation.x * radians);
+        const sinY = Math.sin(rotation.y * radians);
+        const cosY = Math.cos(rotation.y * radians);
+        const sinZ = -Math.sin(rotation.z * radians);
+        const cosZ = Math.cos(rotation.z * radians);
+
+        // Each row holds the x, y and constant coefficients, as in libass's calc_transform_matrix
+        const x1 = [1, shear.x, -origin.x - shear.x * box.top];
+        const y1 = [shear.y, 1, -origin.y - shear.y * box.left];
+        const x2 = x1.map((v, i) => v * cosZ - y1[i] * sinZ);
+        const y2 = x1.map((v, i) => v * sinZ + y1[i] * cosZ);
+        const y3 = y2.map(v => v * cosX);
+        const z3 = y2.map(v => v * sinX);
+        const x4 = x2.map((v, i) => v * cosY - z3[i] * sinY);
+        const z4 = x2.map((v, i) => v * sinY + z3[i] * cosY);
+
+        const dist = 2500 * this.activeScaleY;
+        z4[2] += dist;
+        const w = z4[2];
+        return [
+            z4.map((v, i) => (v * origin.x + x4[i] * dist) / w),
+            z4.map((v, i) => (v * origin.y + y3[i] * dist) / w),
+            z4.map(v => v / w)
+        ];
+    }
+
+    projectionToCss(m) {
+        // The 3x3 projection as a CSS matrix3d (column-major), for an element with transform-origin 0 0
+        return `matrix3d(${m[0][0]}, ${m[1][0]}, 0, ${m[2][0]}, ${m[0][1]}, ${m[1][1]}, 0, ${m[2][1]}, ` +
+            `0, 0, 1, 0, ${m[0][2]}, ${m[1][2]}, 0, ${m[2][2]})`;
+    }
+
+    projectionToAffine(m, x, y) {
+        // Best affine fit of the projection around (x, y), as setTransform/transform arguments
+        const w = m[2][0] * x + m[2][1] * y + m[2][2];
+        const px = (m[0][0] * x + m[0][1] * y + m[0][2]) / w;
+        const py = (m[1][0] * x + m[1][1] * y + m[1][2]) / w;
+        const a = (m[0][0] - px * m[2][0]) / w;
+        const b = (m[1][0] - py * m[2][0]) / w;
+        const c = (m[0][1] - px * m[2][1]) / w;
+        const d = (m[1][1] - py * m[2][1]) / w;
+        return [a, b, c, d, px - a * x - c * y, py - b * x - d * y];
+    }
+
+    measureProjections() {
+        // Flat box and alignment point of every rotated or sheared line, measured before its
+        // wrapper is transformed; applyProjection works from these
+        const overlayRect = this.overlay.getBoundingClientRect();
+        this.activeCues.forEach((cue, i) => {
+            const projection = this.renderedProjections[i];
+            if (!projection) return;
+            projection.wrapper.style.transform = '';
+            const box = this.measureLineBox(this.renderedElements[i], overlayRect);
+            const overrides = cue.overrides || {};
+            const point = overrides.move ? { x: overrides.move.x1, y: overrides.move.y1 } : overrides.pos;
+            if (point) {
+                projection.anchor = { x: point.x * this.activeScaleX, y: point.y * this.activeScaleY };
             } else {
-                i++;
+                const alignment = this.getASSAlignment(cue);
+                const column = (alignment - 1) % 3;
+                const row = alignment <= 3 ? 2 : alignment <= 6 ? 1 : 0;
+                projection.anchor = {
+                    x: box.left + (box.right - box.left) * column / 2,
+                    y: box.top + (box.bottom - box.top) * row / 2
+                };
             }
+            projection.box = box.left === Infinity ? { left: 0, top: 0 } : box;
+            this.applyProjection(cue, projection);
+        });
+    }
+
+    applyProjection(cue, projection, time) {
+        // Transforms a line's full-frame wrapper; `time` applies \t and \move, undefined shows the start state
+        let { anchor, box } = projection;
+        const overrides = cue.overrides || {};
+        if (overrides.move && time !== undefined) {
+            // \move carries the line, and with it the default origin and the shear edges
+            const position = this.getMovePosition(cue, time);
+            const dx = position.x * this.activeScaleX - overrides.move.x1 * this.activeScaleX;
+            const dy = position.y * this.activeScaleY - overrides.move.y1 * this.activeScaleY;
+            anchor = { x: anchor.x + dx, y: anchor.y + dy };
+            box = { left: box.left + dx, top: box.top + dy };
+        }
+        const elapsed = time === undefined ? undefined : (time - cue.start) * 1000;
+        const matrix = this.getASSProjection(cue, anchor, box, elapsed, (cue.end - cue.start) * 1000);
+        projection.wrapper.style.transform = matrix ? this.projectionToCss(matrix) : '';
+    }
+
+    fontWeight(bold) {
+        // Run state bold: 0/false normal, 1/true bold, or a \b weight (100 - 900)
+        if (bold === true || bold === 1) return 'bold';
+        return bold > 1 ? String(bold) : 'normal';
+    }
+
+    cssFont(family, size, bold, italic) {
+        // CSS font shorthand, as taken by CanvasRenderingContext2D.font
+        const weight = this.fontWeight(bold);
+        return `${italic ? 'italic ' : ''}${weight !== 'normal' ? weight + ' ' : ''}${size}px ${family || 'sans-serif'}`;
+    }
+
+    getMeasureContext() {
+        // The canvas backend's context, or a detached one; null where canvas isn't available
+        if (this.canvasBackend) return this.canvasBackend.ctx;
+        if (this.measureContext === undefined) {
+            const canvas = document.createElement('canvas');
+            this.measureContext = (canvas.getContext && canvas.getContext('2d')) || null;
+        }
+        return this.measureContext;
+    }
+
+    measureASSPiece(run, text, state) {
+        // Width in overlay pixels of a run's text (or drawing), as applyRunStyle/applyDrawingStyle lay it out
+        if (run.drawing) {
+            const bounds = this.getDrawingBounds(parser.parseASSDrawing(run.drawing.commands));
+            const divisor = Math.pow(2, run.drawing.scale - 1);
+            return Math.max(0, (bounds.maxX - bounds.minX) * this.activeScaleX * (state.fontScaleX / 100) / divisor);
         }
+        const ctx = this.getMeasureContext();
+        const size = state.fontSize * (state.fontScaleY / 100) * this.activeScaleY;
+        ctx.font = this.cssFont(this.cssFontFamily(state.fontName), size, state.bold, state.italic);
+        const stretch = state.fontScaleY > 0 ? state.fontScaleX / state.fontScaleY : 1;
+        return (ctx.measureText(text).width + state.spacing * this.activeScaleX * Array.from(text).length) * stretch;
     }
 
-    parseASS(text) {
-        const lines = text.split(/\r?\n/);
-        let section = '';
-        const formatOrder = {}; // For Events
-        const styleFormatOrder = {}; // For Styles
+    getASSMargins(style, fields = {}) {
+        // Margins of an ASS line in script pixels. As in libass, the line's own non-zero
+        // MarginL/MarginR/MarginV replace the style's; 0 is a real margin, not a missing one.
+        const margin = key => {
+            const own = parseInt(fields[key]);
+            if (own) return own;
+            const value = parseInt(style[key]);
+            return isNaN(value) ? 10 : value;
+        };
+        return { left: margin('MarginL'), right: margin('MarginR'), vertical: margin('MarginV') };
+    }
 
-        for (let line of lines) {
-            line = line.trim();
-            if (!line) continue;
+    getASSWrapStyle(cue) {
+        // \q overrides the script's WrapStyle for one line
+        const overrides = cue.overrides || {};
+        return overrides.wrapStyle !== undefined ? overrides.wrapStyle : this.assParams.wrapStyle || 0;
+    }
 
-            if (line.startsWith('[')) {
-                section = line;
-                continue;
+    wrapASSRuns(cue, runs, states, frameWidth, measure) {
+        // Picks the soft line breaks of an ASS line and returns copies of the runs with those
+        // spaces turned into '\n'. Like libass, every line (\pos or not) wraps to the frame width
+        // less its margins. WrapStyle 1 breaks greedily at the end of each line; 0 and 3
+        // keep the same number of lines but balance their widths, with the upper (0) or lower (3)
+        // lines the wider ones; 2 never wraps. Hard breaks (\N, and \n under WrapStyle 2) are
+        // already '\n' and split the text into paragraphs that wrap on their own.
+        // measure(run, text, state) returns a width in overlay pixels.
+        const wrapStyle = this.getASSWrapStyle(cue);
+        const style = this.styles[cue.styleName] || this.styles['Default'] || {};
+        const margins = this.getASSMargins(style, cue.fields);
+        const maxWidth = frameWidth - (margins.left + margins.right) * this.activeScaleX;
+        if (wrapStyle === 2 || !(maxWidth > 0)) return runs;
+
+        // Words (which may span runs) separated by breakable spaces; NBSP (\h) doesn't break
+        const paragraphs = [[]];
+        let word = null;
+        let gap = null; // Spaces since the last word: { width, index, offset } of the first one
+        runs.forEach((run, index) => {
+            if (run.drawing) {
+                if (!word) paragraphs[paragraphs.length - 1].push(word = { width: 0, gap });
+                word.width += measure(run, '', states[index]);
+                gap = null;
+                return;
             }
-
-            if (section === '[Script Info]') {
-                const parts = line.split(':');
-                if (parts.length >= 2) {
-                    const key = parts[0].trim();
-                    const value = parts[1].trim();
-                    if (key === 'PlayResX') this.assParams.playResX = parseInt(value);
-                    if (key === 'PlayResY') this.assParams.playResY = parseInt(value);
+            let offset = 0;
+            for (const part of run.text.split(/([ \n])/)) {
+                if (part === '\n') {
+                    paragraphs.push([]);
+                    word = null;
+                    gap = null;
+                } else if (part === ' ') {
+                    if (word) gap = { width: 0, index, offset };
+                    if (gap) gap.width += measure(run, ' ', states[index]);
+                    word = null;
+                } else if (part) {
+                    if (!word) paragraphs[paragraphs.length - 1].push(word = { width: 0, gap });
+                    word.width += measure(run, part, states[index]);
+                    gap = null;
                 }
+                offset += part.length;
             }
-            else if (section === '[V4+ Styles]' || section === '[V4 Styles]') {
-                if (line.startsWith('Format:')) {
-                    const parts = line.substring(7).split(',').map(s => s.trim());
-                    parts.forEach((p, idx) => styleFormatOrder[p] = idx);
-                } else if (line.startsWith('Style:')) {
-                    const parts = line.substring(6).split(','); // Styles can contain commas in font names? rarely.
-                    // Better split implementation handling quoted strings if needed, but standard ASS usually CSV
-                    const style = {};
-
-                    // Map parts to properties
-                    for (const [key, idx] of Object.entries(styleFormatOrder)) {
-                        if (idx < parts.length) style[key] = parts[idx].trim();
-                    }
+        });
 
-                    this.styles[style.Name] = style;
+        const fill = (words, limit, fromEnd) => {
+            // Greedy fill from the first word (or back from the last one); returns the words that start a line
+            const starts = [];
+            const order = fromEnd ? words.slice().reverse() : words;
+            let width = 0;
+            order.forEach((current, i) => {
+                if (i === 0) {
+                    width = current.width;
+                    return;
                 }
+                // The space between this word and the previous one in reading order
+                const between = fromEnd ? order[i - 1].gap : current.gap;
+                const next = width + between.width + current.width;
+                if (next > limit) {
+                    starts.push(fromEnd ? order[i - 1] : current);
+                    width = current.width;
+                } else {
+                    width = next;
+                }
+            });
+            return starts;
+        };
+
+        const breaks = []; // Gaps that become line breaks
+        for (const words of paragraphs) {
+            let starts = fill(words, maxWidth, false);
+            if (starts.length > 0 && wrapStyle !== 1) {
+                // Narrowest width that still needs no more lines, then fill from the top or bottom
+                let low = 0;
+                let high = maxWidth;
+                for (let i = 0; i < 20; i++) {
+                    const mid = (low + high) / 2;
+                    if (fill(words, mid, false).length <= starts.length) high = mid;
+                    else low = mid;
+                }
+                starts = fill(words, high, wrapStyle === 3);
             }
-            else if (section === '[Events]') {
-                if (line.startsWith('Format:')) {
-                    const parts = line.substring(7).split(',').map(s => s.trim());
-                    parts.forEach((p, idx) => formatOrder[p] = idx);
-                } else if (line.startsWith('Dialogue:')) {
-                    if (!formatOrder['Start'] || !formatOrder['End'] || !formatOrder['Text']) continue;
-
-                    // Dialogue: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
-                    // We must be careful because "Text" is the last field and can contain commas.
-
-                    // Heuristic: Find the Nth comma where N is the index of 'Text'
-                    // Actually, formatOrder['Text'] is the last index.
-                    // So we split by comma limited to the number of fields - 1
-
-                    const numFields = Object.keys(formatOrder).length;
-                    // ASS lines: Key: v1, v2, v3, ..., "Text, with, commas"
-
-                    // Find first colon
-                    const firstColon = line.indexOf(':');
-                    const content = line.substring(firstColon + 1).trim();
-
-                    // Custom csv split that respects the last field being free-form
-                    const values = [];
-                    let currentVal = '';
-                    let commaCount = 0;
-                    let targetCommaCount = numFields - 1;
-
-                    // Optimization: Standard JS split doesn't support "split N times".
-                    // We can find the Nth comma position.
-                    let lastCommaIndex = -1;
-                    let foundCommas = 0;
-
-                    for (let i = 0; i < content.length; i++) {
-                        if (content[i] === ',') {
-                            foundCommas++;
-                            if (foundCommas === targetCommaCount) {
-                                lastCommaIndex = i;
-                                break;
-                            }
-                        }
-                    }
-
-                    const metaPart = content.substring(0, lastCommaIndex);
-                    const textPart = content.substring(lastCommaIndex + 1);
-                    const metaValues = metaPart.split(',').map(s => s.trim());
-
-                    // Construct event object
-                    const event = {};
-                    // Map meta values
-                    const formatKeys = Object.keys(formatOrder).sort((a, b) => formatOrder[a] - formatOrder[b]);
-
-                    for (let i = 0; i < targetCommaCount; i++) {
-                        if (i < metaValues.length) {
-                            event[formatKeys[i]] = metaValues[i];
-                        }
-                    }
-                    event['Text'] = textPart;
+            for (const start of starts) breaks.push(start.gap);
+        }
+        if (breaks.length === 0) return runs;
 
-                    const start = this.parseASSTime(event['Start']);
-                    const end = this.parseASSTime(event['End']);
+        const texts = runs.map(run => run.text);
+        for (const { index, offset } of breaks) {
+            texts[index] = texts[index].substring(0, offset) + '\n' + texts[index].substring(offset + 1);
+        }
+        return runs.map((run, index) => texts[index] === run.text ? run : { ...run, text: texts[index] });
+    }
 
-                    if (isNaN(start) || isNaN(end)) continue;
+    render() {
+        if (this.canvasBackend) {
+            // Layout only; pixels are painted by applyAnimations
+            this.canvasBackend.layout();
+            return;
+        }
 
-                    // Clean up text
-                    let rawText = event['Text'];
+        this.overlay.replaceChildren();
+        this.renderedElements = [];
+        this.renderedRuns = [];
+        this.renderedTimedNodes = [];
+        this.renderedProjections = [];
+        if (this.activeCues.length === 0) {
+            this.regionCues = {};
+            this.collisionShifts = new Map();
+            return;
+        }
 
-                    // Handle override tags
-                    // Complex rendering requires drawing to Canvas or generating complex DOM.
-                    // We will use DOM for now.
+        // Overlay is now sized to the video content, so we use its dims
+        const containerWidth = this.overlay.clientWidth;
+        const containerHeight = this.overlay.clientHeight;
 
-                    const overrides = this.parseOverrides(rawText);
+        this.updateActiveScale(containerWidth, containerHeight);
+        const scaleX = this.activeScaleX;
+        const scaleY = this.activeScaleY;
 
-                    // Basic Karaoke Processing
-                    // Replace {\kXY}Text with <span class="karaoke-text" data-duration="XY">Text</span>
-                    // This is a naive implementation.
-                    let processedText = rawText;
-                    let isKaraoke = false;
+        const regionElements = {}; // Region id -> { element, inner, cues }
 
-                    // Regex to find \k tags and the text following them until next tag or end
-                    if (/\\k[fo]?\d+/.test(rawText)) {
-                        isKaraoke = true;
-                        // We need to strip other tags for the clean text, BUT keep K tags for processing.
-                        // Simplification: Standardize to internal format
-                        // Not implemented fully in this pass to avoid breaking standard rendering
-                        // Instead, we just strip K tags for 'text' and keep them in 'html' if we were to support it.
+        this.activeCues.forEach(cue => {
+            const div = document.createElement('div');
+            let parent = this.overlay;
+            let runEntries = [];
+            let timedNodes = [];
+            let projection = null;
+
+            if (cue.format === 'vtt' || cue.format === 'srt') {
+                div.className = `subtitle-line ${cue.format}-style`;
+                timedNodes = this.buildTextCue(div, cue);
+
+                const region = this.getVTTRegion(cue);
+                if (region) {
+                    if (!regionElements[region.id]) {
+                        regionElements[region.id] = this.createVTTRegionElement(region, containerWidth, containerHeight);
+                        this.overlay.appendChild(regionElements[region.id].element);
                     }
+                    regionElements[region.id].cues.push(cue);
+                    parent = regionElements[region.id].inner;
+                    this.applyVTTRegionCueLayout(div, cue, containerHeight);
+                } else {
+                    this.applyVTTLayout(div, cue, containerWidth, containerHeight);
+                }
+            } else {
+                // ASS Rendering
+                div.className = 'subtitle-line ass-style';
+                // Line breaks are chosen by wrapASSRuns, so the browser must not add its own
+                div.style.whiteSpace = 'nowrap';
+                runEntries = this.appendASSRuns(div, cue, scaleX, scaleY, containerWidth);
 
-                    const cleanText = rawText.replace(/{[^}]+}/g, '').replace(/\\N/g, '<br>').replace(/\\n/g, ' ');
+                const style = this.styles[cue.styleName] || this.styles['Default'] || {};
 
-                    this.cues.push({
-                        start,
-                        end,
-                        text: cleanText,
-                        rawText: rawText,
-                        styleName: event['Style'],
-                        overrides: overrides,
-                        format: 'ass'
-                    });
+                // Positioning
+                const alignment = this.getASSAlignment(cue);
+                const overrides = cue.overrides || {};
+
+                // Rotation and shearing transform a full-frame wrapper (see measureProjections), so the
+                // matrix works in overlay pixels and the line's own positioning stays untouched
+                if (this.getASSRotation(cue) || this.getASSShear(cue)) {
+                    const wrapper = document.createElement('div');
+                    wrapper.className = 'subtitle-transform';
+                    wrapper.style.position = 'absolute';
+                    wrapper.style.left = '0';
+                    wrapper.style.top = '0';
+                    wrapper.style.width = '100%';
+                    wrapper.style.height = '100%';
+                    wrapper.style.transformOrigin = '0 0';
+                    projection = { wrapper, box: null, anchor: null };
+                }
+
+                // Priority: Move > Pos > Standard
+                if (overrides.move) {
+                    // Initial pos is x1, y1
+                    div.style.position = 'absolute';
+                    div.style.left = (overrides.move.x1 * scaleX) + 'px';
+                    div.style.top = (overrides.move.y1 * scaleY) + 'px';
+                    this.applyAlignmentTransform(div, alignment);
+                } else if (overrides.pos) {
+                    // Absolute positioning (Explicit)
+                    div.style.position = 'absolute';
+                    div.style.left = (overrides.pos.x * scaleX) + 'px';
+                    div.style.top = (overrides.pos.y * scaleY) + 'px';
+                    this.applyAlignmentTransform(div, alignment);
+                } else {
+                    // Flex/Standard Alignment
+                    this.applyFlexAlignment(div, alignment, style, scaleX, scaleY, cue.fields);
                 }
             }
-        }
-    }
 
-    parseOverrides(text) {
-        const overrides = {};
+            let node = div;
+            if (projection) {
+                projection.wrapper.appendChild(div);
+                node = projection.wrapper;
+            }
+            if (cue.format === 'ass' && cue.overrides && (cue.overrides.clip || cue.overrides.clipTransforms)) {
+                // Clips are in script coordinates of the whole frame, independent of the
+                // line's own position/rotation, so they go on a full-size wrapper.
+                const clipBox = document.createElement('div');
+                clipBox.className = 'subtitle-clip';
+                clipBox.style.position = 'absolute';
+                clipBox.style.left = '0';
+                clipBox.style.top = '0';
+                clipBox.style.width = '100%';
+                clipBox.style.height = '100%';
+                this.applyClip(clipBox, cue.overrides.clip, containerWidth, containerHeight);
+                clipBox.appendChild(node);
+                node = clipBox;
+            }
+            parent.appendChild(node);
+            runEntries.forEach(entry => this.updateRunStretch(entry));
+            this.renderedElements.push(div);
+            this.renderedRuns.push(runEntries);
+            this.renderedTimedNodes.push(timedNodes);
+            this.renderedProjections.push(projection);
+        });
 
-        // Check for \pos(x,y)
-        const posMatch = text.match(/\\pos\s*\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\)/);
-        if (posMatch) {
-            overrides.pos = { x: parseFloat(posMatch[1]), y: parseFloat(posMatch[2]) };
-        }
+        this.scrollVTTRegions(regionElements);
+        this.resolveCollisions(containerHeight);
+        this.measureProjections();
+    }
 
-        // Check for \an(1-9) - Alignment (numpad)
-        const anMatch = text.match(/\\an(\d)/);
-        if (anMatch) {
-            overrides.alignment = parseInt(anMatch[1]);
+    getCollisionInfo(cue) {
+        // Which lines take part in collision handling, and which way they get pushed.
+        // Returns null for lines that are ignored entirely.
+        if (cue.format === 'vtt' || cue.format === 'srt') {
+            if (this.getVTTRegion(cue)) return null; // Regions stack their own cues
+            const s = cue.settings || {};
+            if (cue.format === 'srt') {
+                // Top-aligned SRT lines stack downwards, everything else upwards
+                return { group: 'text', direction: s.line === 0 ? 1 : -1, movable: s.snapToLines !== false };
+            }
+            // WebVTT: horizontal line:auto cues stack upwards; the rest stay put but still block
+            return { group: 'text', direction: -1, movable: s.line === undefined && !s.vertical };
         }
 
-        const cMatch = text.match(/\\c&H([0-9a-fA-F]+)&/);
-        if (cMatch) {
-            overrides.color = this.assColorToCss(cMatch[1]);
-        }
+        // ASS: \pos/\move lines are excluded, the rest collide only within their own layer
+        const overrides = cue.overrides || {};
+        if (overrides.pos || overrides.move) return null;
+        const alignment = this.getASSAlignment(cue);
+        return { group: `ass:${cue.layer || 0}`, direction: alignment <= 3 ? -1 : 1, movable: true };
+    }
 
-        // Check for \fad(t1, t2) - Fade
-        const fadMatch = text.match(/\\fad\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/);
-        if (fadMatch) {
-            overrides.fade = { t1: parseInt(fadMatch[1]), t2: parseInt(fadMatch[2]) };
+    measureLineBox(element, overlayRect) {
+        // ASS lines may be full width boxes, so use the union of their runs instead
+        const targets = element.classList.contains('ass-style') && element.children.length > 0
+            ? Array.from(element.children)
+            : [element];
+        const box = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+        for (const target of targets) {
+            const rect = target.getBoundingClientRect();
+            box.left = Math.min(box.left, rect.left - overlayRect.left);
+            box.top = Math.min(box.top, rect.top - overlayRect.top);
+            box.right = Math.max(box.right, rect.right - overlayRect.left);
+            box.bottom = Math.max(box.bottom, rect.bottom - overlayRect.top);
         }
+        return box;
+    }
 
-        // Check for \move(x1, y1, x2, y2, [t1, t2])
-        // Regex handles optional t1, t2
-        const moveMatch = text.match(/\\move\s*\(\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)(?:\s*,\s*(\d+)\s*,\s*(\d+))?\s*\)/);
-        if (moveMatch) {
-            overrides.move = {
-                x1: parseFloat(moveMatch[1]),
-                y1: parseFloat(moveMatch[2]),
-                x2: parseFloat(moveMatch[3]),
-                y2: parseFloat(moveMatch[4]),
-                t1: moveMatch[5] !== undefined ? parseInt(moveMatch[5]) : undefined,
-                t2: moveMatch[6] !== undefined ? parseInt(moveMatch[6]) : undefined
-            };
-        }
+    shiftLineElement(element, dy) {
+        // Bottom-anchored lines move via margin-bottom, top/middle-anchored via margin-top
+        const bottomAnchored = !element.style.top || element.style.top === 'auto';
+        element.style.marginBottom = bottomAnchored && dy ? `${-dy}px` : '';
+        element.style.marginTop = !bottomAnchored && dy ? `${dy}px` : '';
+    }
 
-        // Check for Rotation \frx, \fry, \frz (or \fr)
-        const frxMatch = text.match(/\\frx(-?[\d.]+)/);
-        const fryMatch = text.match(/\\fry(-?[\d.]+)/);
-        const frzMatch = text.match(/\\frz(-?[\d.]+)/);
-        const frMatch = text.match(/\\fr(-?[\d.]+)/); // Defaults to Z
+    resolveCollisions(containerHeight) {
+        // Pushes overlapping lines apart. Lines already on screen keep their previous
+        // shift when it still fits (Normal), so existing lines don't jump around;
+        // with Collisions: Reverse, newer lines take the anchor and older ones move.
+        if (!containerHeight) return;
+        const overlayRect = this.overlay.getBoundingClientRect();
+
+        const items = [];
+        this.activeCues.forEach((cue, i) => {
+            const element = this.renderedElements[i];
+            const info = element && this.getCollisionInfo(cue);
+            if (!info) return;
+            items.push({ cue, element, ...info, box: this.measureLineBox(element, overlayRect) });
+        });
 
-        if (frxMatch || fryMatch || frzMatch || frMatch) {
-            overrides.rotation = {
-                x: frxMatch ? parseFloat(frxMatch[1]) : 0,
-                y: fryMatch ? parseFloat(fryMatch[1]) : 0,
-                z: frzMatch ? parseFloat(frzMatch[1]) : (frMatch ? parseFloat(frMatch[1]) : 0)
-            };
+        const shifts = this.computeCollisionShifts(items, containerHeight);
+        for (const item of items) {
+            if (item.movable) this.shiftLineElement(item.element, shifts.get(item.cue) || 0);
         }
+    }
 
-        // Check for Styling Overrides: \bord, \shad, \blur, \fs, \fn
-        const bordMatch = text.match(/\\bord(-?[\d.]+)/);
-        if (bordMatch) overrides.border = parseFloat(bordMatch[1]);
-
-        const shadMatch = text.match(/\\shad(-?[\d.]+)/);
-        if (shadMatch) overrides.shadow = parseFloat(shadMatch[1]);
-
-        const blurMatch = text.match(/\\blur(-?[\d.]+)/);
-        if (blurMatch) overrides.blur = parseFloat(blurMatch[1]);
-
-        const fsMatch = text.match(/\\fs(\d+)/);
-        if (fsMatch) overrides.fontSize = parseInt(fsMatch[1]);
+    getCollisionBoxes() {
+        // Where the lines taking part in collision handling ended up (overlay pixels)
+        if (this.canvasBackend) return this.canvasBackend.getCollisionBoxes();
 
-        const fnMatch = text.match(/\\fn([^\\}]+)/);
-        if (fnMatch) overrides.fontName = fnMatch[1];
+        const overlayRect = this.overlay.getBoundingClientRect();
+        const boxes = [];
+        this.activeCues.forEach((cue, i) => {
+            const element = this.renderedElements[i];
+            if (element && this.getCollisionInfo(cue)) boxes.push(this.measureLineBox(element, overlayRect));
+        });
+        return boxes;
+    }
 
-        // Karaoke split logic (simplified)
-        // \k10\k20 -> we won't fully highlight, just identifying presence
-        // Real karaoke requires splitting the text node into spans.
-        // We will attempt a basic parse: replace {\kXX}text with <span data-k="XX">text</span>
-        // This is complex because overrides return an object, but karaoke changes the text structure.
-        // We'll handle K-tag stripping in the main loop but flag it here if needed.
+    computeCollisionShifts(items, containerHeight) {
+        // items: { cue, box, group, direction, movable } with boxes in overlay pixels.
+        // Returns cue -> vertical shift in pixels; shared by the DOM and canvas backends.
+        const reverse = this.format === 'ass' && this.assParams.collisions === 'reverse';
+        const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
 
-        return overrides;
-    }
+        const groups = new Map();
+        for (const item of items) {
+            if (!groups.has(item.group)) groups.set(item.group, []);
+            groups.get(item.group).push(item);
+        }
+        // Lines of other tracks sharing the overlay (SubtitleTrackManager) block every group
+        const obstacles = this.collisionObstacles ? this.collisionObstacles() : [];
+
+        const shifts = new Map();
+        const nextShifts = new Map();
+        const place = (item, placed, dy) => {
+            shifts.set(item.cue, dy);
+            nextShifts.set(item.cue, dy / containerHeight);
+            placed.push({ ...item.box, top: item.box.top + dy, bottom: item.box.bottom + dy });
+        };
+
+        for (const items of groups.values()) {
+            const placed = [...obstacles, ...items.filter(item => !item.movable).map(item => item.box)];
+            let pending = items.filter(item => item.movable);
+
+            if (!reverse) {
+                // Keep lines that were already shown where they were, if they still fit
+                pending = pending.filter(item => {
+                    if (!this.collisionShifts.has(item.cue)) return true;
+                    const dy = this.collisionShifts.get(item.cue) * containerHeight;
+                    const box = { ...item.box, top: item.box.top + dy, bottom: item.box.bottom + dy };
+                    if (placed.some(other => overlaps(box, other))) return true;
+                    place(item, placed, dy);
+                    return false;
+                });
+            } else {
+                pending = pending.slice().reverse();
+            }
 
-    parseTime(timeStr) {
-        // 00:00:05.123 or 00:05.123
-        const parts = timeStr.trim().split(':');
-        let seconds = 0;
-        if (parts.length === 3) {
-            seconds += parseInt(parts[0]) * 3600;
-            seconds += parseInt(parts[1]) * 60;
-            seconds += parseFloat(parts[2]);
-        } else if (parts.length === 2) {
-            seconds += parseInt(parts[0]) * 60;
-            seconds += parseFloat(parts[1]);
+            for (const item of pending) {
+                let dy = 0;
+                for (let guard = 0; guard <= placed.length; guard++) {
+                    const box = { ...item.box, top: item.box.top + dy, bottom: item.box.bottom + dy };
+                    const hit = placed.find(other => overlaps(box, other));
+                    if (!hit) break;
+                    dy += item.direction < 0 ? hit.top - box.bottom : hit.bottom - box.top;
+                }
+                place(item, placed, dy);
+            }
         }
-        return seconds;
+
+        this.collisionShifts = nextShifts;
+        return shifts;
     }
 
-    parseASSTime(timeStr) {
-        // 0:00:05.12
-        return this.parseTime(timeStr);
+    getVTTRegion(cue) {
+        const s = cue.settings;
+        if (!s || !s.region || !this.regions[s.region]) return null;
+        // A cue only lives in its region if it uses the default line, size and direction
+        if (s.vertical || s.line !== undefined || (s.size !== undefined && s.size !== 100)) return null;
+        return this.regions[s.region];
     }
 
-    assColorToCss(assColor) {
-        // ASS color is &HBBGGRR (optionally &HAABBGGRR)
-        // We stripped &H and & already in regex usually, or raw value
-        let hex = assColor.replace(/&H|&/g, '');
+    computeVTTBox(settings) {
+        // WebVTT rendering rules: computed position, position alignment and size
+        const align = settings.align || 'center';
 
-        // Pad to 6 or 8 chars
-        while (hex.length < 6) hex = '0' + hex;
+        let position = settings.position;
+        if (position === undefined) {
+            if (align === 'left') position = 0;
+            else if (align === 'right') position = 100;
+            else position = 50;
+        }
 
-        // Alpha?
-        let a = 1;
-        if (hex.length === 8) {
-            // First 2 bytes are alpha
-            const alphaHex = hex.substring(0, 2);
-            const alphaVal = parseInt(alphaHex, 16);
-            // ASS Alpha: 00 = Opaque, FF = Transparent
-            a = 1 - (alphaVal / 255);
-            hex = hex.substring(2);
+        let positionAlign = settings.positionAlign;
+        if (!positionAlign) {
+            // Base direction is assumed LTR, so start/end map to left/right
+            if (align === 'left' || align === 'start') positionAlign = 'line-left';
+            else if (align === 'right' || align === 'end') positionAlign = 'line-right';
+            else positionAlign = 'center';
         }
 
-        const b = hex.substring(0, 2);
-        const g = hex.substring(2, 4);
-        const r = hex.substring(4, 6);
+        let maxSize;
+        if (positionAlign === 'line-left') maxSize = 100 - position;
+        else if (positionAlign === 'line-right') maxSize = position;
+        else maxSize = position <= 50 ? position * 2 : (100 - position) * 2;
+
+        const size = Math.min(settings.size !== undefined ? settings.size : 100, maxSize);
+
+        let offset;
+        if (positionAlign === 'line-left') offset = position;
+        else if (positionAlign === 'line-right') offset = position - size;
+        else offset = position - size / 2;
 
-        return `rgba(${parseInt(r, 16)}, ${parseInt(g, 16)}, ${parseInt(b, 16)}, ${a.toFixed(2)})`;
+        return { align, offset, size };
     }
 
-    update() {
-        if (!this.isEnabled) return;
+    applyVTTLayout(element, cue, containerWidth, containerHeight) {
+        const s = cue.settings || {};
+        // WebVTT line boxes: 5vh font with a 6vh step per line, relative to the video
+        const lineHeight = containerHeight * 0.06;
+        const { align, offset, size } = this.computeVTTBox(s);
 
-        const time = this.video.currentTime;
-        const active = this.cues.filter(cue => time >= cue.start && time <= cue.end);
+        element.style.position = 'absolute';
+        element.style.boxSizing = 'border-box';
+        element.style.fontSize = `${containerHeight * 0.05}px`;
+        element.style.lineHeight = `${lineHeight}px`;
+        element.style.textAlign = align;
 
-        // Simple diff check (avoid redraw if same cues)
-        // Use rawText for comparison to capture override changes if they were dynamic (rare)
-        const activeKeys = active.map(c => c.rawText + c.start).join('|');
-        const currentKeys = this.activeCues.map(c => c.rawText + c.start).join('|');
+        const lineAlign = s.lineAlign || 'start';
+        const alignShift = lineAlign === 'center' ? '-50%' : lineAlign === 'end' ? '-100%' : '0%';
 
-        if (activeKeys !== currentKeys) {
-            const firstText = active.length > 0 ? active[0].text.substring(0, 30).replace(/<[^>]*>/g, '') + '...' : 'None';
-            console.log(`[SubtitleRenderer] Active cues changed: ${active.length} active. First: "${firstText}"`);
-            this.activeCues = active;
-            this.render();
+        if (!s.vertical) {
+            element.style.left = `${offset}%`;
+            element.style.width = `${size}%`;
+
+            if (s.line !== undefined && s.snapToLines === false) {
+                element.style.top = `${s.line}%`;
+                element.style.transform = `translateY(${alignShift})`;
+            } else {
+                // line:auto behaves as the last line of the video
+                const line = s.line !== undefined ? s.line : -1;
+                if (line >= 0) element.style.top = `${line * lineHeight}px`;
+                else element.style.bottom = `${(-line - 1) * lineHeight}px`;
+            }
+        } else {
+            element.style.writingMode = s.vertical === 'rl' ? 'vertical-rl' : 'vertical-lr';
+            element.style.top = `${offset}%`;
+            element.style.height = `${size}%`;
+
+            if (s.line !== undefined && s.snapToLines === false) {
+                element.style.left = `${s.line}%`;
+                element.style.transform = `translateX(${alignShift})`;
+            } else {
+                // Lines are counted from the right edge for rl and from the left for lr
+                const line = s.line !== undefined ? s.line : -1;
+                const fromEdge = line >= 0 ? line * lineHeight : (-line - 1) * lineHeight;
+                const nearSide = s.vertical === 'rl' ? 'right' : 'left';
+                const farSide = s.vertical === 'rl' ? 'left' : 'right';
+                element.style[line >= 0 ? nearSide : farSide] = `${fromEdge}px`;
+            }
         }
+    }
 
-        // Apply animations (Fade, etc) every frame
-        this.applyAnimations(time);
+    applyVTTRegionCueLayout(element, cue, containerHeight) {
+        const s = cue.settings || {};
+        const { align } = this.computeVTTBox(s);
+
+        element.style.position = 'relative';
+        element.style.fontSize = `${containerHeight * 0.05}px`;
+        element.style.lineHeight = `${containerHeight * 0.06}px`;
+        element.style.textAlign = align;
     }
 
-    applyAnimations(time) {
-        if (this.activeCues.length === 0) return;
-        const children = this.overlay.children;
+    createVTTRegionElement(region, containerWidth, containerHeight) {
+        const width = containerWidth * region.width / 100;
+        const height = containerHeight * 0.06 * region.lines;
 
-        for (let i = 0; i < this.activeCues.length; i++) {
-            const cue = this.activeCues[i];
-            const div = children[i];
-            if (!div) continue;
+        const element = document.createElement('div');
+        element.className = 'subtitle-region';
+        element.dataset.region = region.id;
+        element.style.position = 'absolute';
+        element.style.overflow = 'hidden';
+        element.style.width = `${width}px`;
+        element.style.height = `${height}px`;
+        element.style.left = `${containerWidth * region.viewportAnchor.x / 100 - width * region.regionAnchor.x / 100}px`;
+        element.style.top = `${containerHeight * region.viewportAnchor.y / 100 - height * region.regionAnchor.y / 100}px`;
+
+        // Cues stack from the bottom; older lines overflow out of the top
+        const inner = document.createElement('div');
+        inner.style.position = 'absolute';
+        inner.style.left = '0';
+        inner.style.right = '0';
+        inner.style.bottom = '0';
+        element.appendChild(inner);
+
+        return { element, inner, region, cues: [] };
+    }
 
-            // Handle Fade (\fad)
-            if (cue.overrides && cue.overrides.fade) {
-                const { t1, t2 } = cue.overrides.fade;
-                let opacity = 1;
-                const elapsed = (time - cue.start) * 1000; // ms
-                const remaining = (cue.end - time) * 1000;
+    scrollVTTRegions(regionElements) {
+        const nextRegionCues = {};
+
+        for (const [id, entry] of Object.entries(regionElements)) {
+            nextRegionCues[id] = entry.cues;
+            const previous = this.regionCues[id];
+            if (entry.region.scroll !== 'up' || !previous || previous.length === 0) continue;
+
+            // Slide the newly added lines in from below, pushing older lines up
+            let addedHeight = 0;
+            entry.cues.forEach((cue, idx) => {
+                if (!previous.includes(cue)) addedHeight += entry.inner.children[idx].offsetHeight;
+            });
+            if (addedHeight === 0) continue;
+
+            entry.inner.style.transform = `translateY(${addedHeight}px)`;
+            void entry.inner.offsetHeight; // Force layout so the transition starts from the offset
+            entry.inner.style.transition = 'transform 0.433s';
+            entry.inner.style.transform = 'translateY(0)';
+        }
 
-                if (elapsed < t1) opacity = elapsed / t1;
-                else if (remaining < t2) opacity = remaining / t2;
+        this.regionCues = nextRegionCues;
+    }
 
-                div.style.opacity = Math.max(0, Math.min(1, opacity));
+    buildTextCue(div, cue) {
+        // VTT/SRT cue text -> DOM through an allow-list of the formatting each format defines.
+        // Nothing is ever assigned as HTML, so cue text cannot inject markup and no Trusted Types
+        // policy is needed. Returns the timed nodes of WebVTT inline timestamps (none for SRT).
+        if (cue.format === 'vtt') return this.buildVTTCue(div, cue);
+
+        // SRT: <b>, <i>, <u>, <s> and <font color>, as kept by parser.srtTagsToHtml
+        for (const run of parser.parseCueMarkup(cue.text)) {
+            if (run.timestamp !== undefined) continue;
+            let outer = null;
+            let inner = null;
+            const wrap = element => {
+                if (inner) inner.appendChild(element);
+                else outer = element;
+                inner = element;
+            };
+            if (run.color) {
+                const span = document.createElement('span');
+                span.style.color = run.color; // Invalid values are ignored by the CSSOM
+                wrap(span);
             }
+            if (run.bold) wrap(document.createElement('b'));
+            if (run.italic) wrap(document.createElement('i'));
+            if (run.underline) wrap(document.createElement('u'));
+            if (run.strikeout) wrap(document.createElement('s'));
+            this.appendRunText(inner || div, run.text);
+            if (outer) div.appendChild(outer);
+        }
+        return [];
+    }
 
-            // Handle Move (\move)
-            if (cue.overrides && cue.overrides.move && this.activeScaleX && this.activeScaleY) {
-                const { x1, y1, x2, y2, t1, t2 } = cue.overrides.move;
-                const duration = (cue.end - cue.start) * 1000;
-                // If t1/t2 not specified, move over full duration
-                const startTime = (t1 !== undefined) ? t1 : 0;
-                const endTime = (t2 !== undefined) ? t2 : duration;
-
-                const elapsed = (time - cue.start) * 1000;
-                let progress = 0;
-
-                if (endTime > startTime) {
-                    if (elapsed <= startTime) progress = 0;
-                    else if (elapsed >= endTime) progress = 1;
-                    else progress = (elapsed - startTime) / (endTime - startTime);
+    buildVTTCue(div, cue) {
+        // WebVTT cue text tree (parser.parseVTTCueText) -> DOM nodes.
+        // With inline timestamps, every element and text piece is tagged with the time it starts at
+        // (the cue start before the first timestamp) so applyAnimations can mark it past or future.
+        // Cues added without a tree (e.g. pushed onto renderer.cues) have their text parsed here.
+        const nodes = cue.nodes || parser.parseVTTCueText(String(cue.text).split('<br>').join('\n'));
+        const timed = [];
+        const hasTimestamps = (function find(list) {
+            return list.some(node => node.type === 'timestamp' || (node.children && find(node.children)));
+        })(nodes);
+        let time = cue.start;
+        if (cue.id) div.dataset.cueId = cue.id;
+
+        const build = (parent, nodes) => {
+            for (const node of nodes) {
+                if (node.type === 'timestamp') {
+                    time = node.time;
+                } else if (node.type === 'text') {
+                    node.text.split('\n').forEach((part, idx) => {
+                        if (idx > 0) parent.appendChild(document.createElement('br'));
+                        if (!part) return;
+                        if (!hasTimestamps) {
+                            parent.appendChild(document.createTextNode(part));
+                            return;
+                        }
+                        const span = document.createElement('span');
+                        span.textContent = part;
+                        parent.appendChild(span);
+                        timed.push({ element: span, time });
+                    });
                 } else {
-                    progress = 1; // Instant move?
+                    const element = document.createElement(VTT_HTML_TAGS.includes(node.name) ? node.name : 'span');
+                    element.dataset.vttTag = node.name;
+                    if (node.classes.length > 0) element.classList.add(...node.classes);
+                    if (node.name === 'v' && node.annotation) element.dataset.voice = node.annotation;
+                    if (node.name === 'lang' && node.annotation) element.lang = node.annotation;
+                    if (hasTimestamps) timed.push({ element, time });
+                    parent.appendChild(element);
+                    build(element, node.children);
                 }
-
-                const currentX = x1 + (x2 - x1) * progress;
-                const currentY = y1 + (y2 - y1) * progress;
-
-                div.style.left = (currentX * this.activeScaleX) + 'px';
-                div.style.top = (currentY * this.activeScaleY) + 'px';
             }
-        }
+        };
+        build(div, nodes);
+        return timed;
     }
 
-    render() {
-        this.overlay.innerHTML = '';
-        if (this.activeCues.length === 0) return;
+    appendASSRuns(element, cue, scaleX, scaleY, containerWidth) {
+        // One span per run, each carrying its fully resolved style
+        // Returns { span, fill, run, textShadow } entries for applyAnimations
+        let runs = cue.runs || [{ text: cue.text, styleName: null, tags: {}, transforms: [] }];
+        const states = runs.map(run => this.resolveRunState(run, cue));
+        // Soft breaks become <br>; without a measuring context the line stays on one row
+        if (this.getMeasureContext()) {
+            runs = this.wrapASSRuns(cue, runs, states, containerWidth, (run, text, state) => this.measureASSPiece(run, text, state));
+        }
+        const entries = [];
+
+        runs.forEach((run, index) => {
+            const span = document.createElement('span');
+            span.className = 'subtitle-run';
+
+            const entry = { span, fill: null, drawing: null, run, textShadow: '' };
+
+            if (run.drawing) {
+                // Vector drawing (\p mode) rendered as an inline SVG path
+                const segments = parser.parseASSDrawing(run.drawing.commands);
+                const svg = document.createElementNS(SVG_NS, 'svg');
+                const path = document.createElementNS(SVG_NS, 'path');
+                svg.setAttribute('class', 'subtitle-drawing');
+                svg.style.overflow = 'visible';
+                svg.style.display = 'inline-block';
+                svg.appendChild(path);
+                span.classList.add('subtitle-drawing-run');
+                span.appendChild(svg);
+                entry.drawing = { svg, path, segments, bounds: this.getDrawingBounds(segments) };
+            } else {
+                this.appendRunText(span, run.text);
+            }
 
-        // Overlay is now sized to the video content, so we use its dims
-        const containerWidth = this.overlay.clientWidth;
-        const containerHeight = this.overlay.clientHeight;
+            if (run.karaoke && !run.drawing) {
+                // Unsung syllables use SecondaryColour; a PrimaryColour copy on top is revealed
+                // by clip-path, so \kf can wipe across the syllable without losing the outline.
+                span.classList.add('subtitle-karaoke');
+                span.style.position = 'relative';
+
+                const fill = document.createElement('span');
+                fill.className = 'subtitle-karaoke-fill';
+                fill.setAttribute('aria-hidden', 'true');
+                fill.style.position = 'absolute';
+                fill.style.left = '0';
+                fill.style.top = '0';
+                fill.style.whiteSpace = 'pre';
+                fill.style.textShadow = 'none';
+                fill.style.clipPath = 'inset(0 100% 0 0)';
+                this.appendRunText(fill, run.text);
+                span.appendChild(fill);
+                entry.fill = fill;
+            }
 
-        // Calculate scaling factor
-        // ASS coordinates are based on PlayResX/Y
-        // We scale everything to fit the current video container
-        let scaleX = 1;
-        let scaleY = 1;
+            this.styleRunEntry(entry, states[index], scaleX, scaleY);
+            element.appendChild(span);
+            entries.push(entry);
+        });
 
-        if (this.format === 'ass' && this.assParams.playResX) {
-            scaleX = containerWidth / this.assParams.playResX;
-            // Should we preserve aspect ratio or stretch? ASS usually assumes stretch if not specified otherwise
-            scaleY = containerHeight / this.assParams.playResY;
+        return entries;
+    }
 
-            // Most renderers use one scale factor for fonts to avoid distortion, usually based on Height or Width
-            // We'll use Y for font sizes
+    styleRunEntry(entry, state, scaleX, scaleY) {
+        const { span, fill, run } = entry;
+        if (entry.drawing) {
+            this.applyDrawingStyle(entry, state, scaleX, scaleY);
+            entry.stretch = 1;
+            return;
         }
 
-        this.activeScaleX = scaleX;
-        this.activeScaleY = scaleY;
-
-        this.activeCues.forEach(cue => {
-            const div = document.createElement('div');
-
-            if (cue.format === 'vtt') {
-                div.className = 'subtitle-line vtt-style';
-                div.innerHTML = cue.text;
-            } else {
-                // ASS Rendering
-                div.className = 'subtitle-line ass-style';
-                div.innerHTML = cue.text;
-
-                // Apply Styles
-                const style = this.styles[cue.styleName] || this.styles['Default'] || {};
+        this.applyRunStyle(span, state, scaleX, scaleY);
+        entry.textShadow = span.style.textShadow;
+        entry.stretch = state.fontScaleX / state.fontScaleY;
 
-                // Font params
-                let fontSize = parseInt(style.Fontsize) || 20;
-                const color = style.PrimaryColour ? this.assColorToCss(style.PrimaryColour) : 'white';
-                const outlineColor = style.OutlineColour ? this.assColorToCss(style.OutlineColour) : 'black';
-                const shadowColor = style.BackColour ? this.assColorToCss(style.BackColour) : 'rgba(0,0,0,0.5)';
-                const bold = style.Bold === '-1' || style.Bold === '1';
-                const italic = style.Italic === '-1' || style.Italic === '1';
-                const outlineWidth = (parseFloat(style.Outline) || 2) * scaleX;
+        if (fill) {
+            span.style.color = this.rgbaString(state.secondaryColor, state.secondaryAlpha);
+            fill.style.color = this.rgbaString(state.primaryColor, state.primaryAlpha);
+            // \ko hides the outline until the syllable is reached
+            if (run.karaoke.type === 'ko') span.style.textShadow = 'none';
+        }
+    }
 
-                // Positioning
-                // Default alignment
-                let alignment = parseInt(style.Alignment) || 2; // Default bottom-center
-
-                if (cue.overrides) {
-                    if (cue.overrides.alignment) alignment = cue.overrides.alignment;
-
-                    // Font Overrides
-                    if (cue.overrides.fontSize) div.style.fontSize = (cue.overrides.fontSize * scaleY) + 'px';
-                    if (cue.overrides.fontName) div.style.fontFamily = cue.overrides.fontName;
-
-                    // 3D Rotation
-                    if (cue.overrides.rotation) {
-                        const { x, y, z } = cue.overrides.rotation;
-                        // To work, parent needs perspective. We add it to the div itself or we rely on flattened 3d?
-                        // Adding perspective to the element usually works for self-rotation
-                        div.style.transformStyle = 'preserve-3d';
-                        // We will append rotation to the transform string later or here
-                        // Note: Transform is overwritten by positioning functions. We must merge them.
-                        div.dataset.rotation = `rotateX(${x}deg) rotateY(${y}deg) rotateZ(${z}deg)`;
-                    }
+    applyDrawingStyle(entry, state, scaleX, scaleY) {
+        // Same fill, outline, shadow and alpha rules as text, scaled by \pN and \fscx/\fscy
+        const { svg, path, segments, bounds } = entry.drawing;
+        const { scale, baselineOffset } = entry.run.drawing;
+        const divisor = Math.pow(2, scale - 1);
+        const sx = scaleX * (state.fontScaleX / 100) / divisor;
+        const sy = scaleY * (state.fontScaleY / 100) / divisor;
+
+        // The shape's bounding box is laid out like a glyph sitting on the baseline
+        const width = Math.max(0, (bounds.maxX - bounds.minX) * sx);
+        const height = Math.max(0, (bounds.maxY - bounds.minY) * sy);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.style.verticalAlign = `${-baselineOffset * sy}px`;
+        path.setAttribute('d', this.drawingToPathData(segments, sx, sy, -bounds.minX * sx, -bounds.minY * sy));
+
+        path.setAttribute('fill', this.rgbaString(state.primaryColor, state.primaryAlpha));
+        // Strokes are round, so the larger of \xbord/\ybord is used
+        const border = Math.max(state.borderX * this.activeBorderScaleX, state.borderY * this.activeBorderScaleY);
+        if (border > 0) {
+            // SVG strokes are centred on the path; paint the fill over the inner half
+            path.setAttribute('stroke', this.rgbaString(state.outlineColor, state.outlineAlpha));
+            path.setAttribute('stroke-width', border * 2);
+            path.setAttribute('stroke-linejoin', 'round');
+            path.setAttribute('paint-order', 'stroke');
+        } else {
+            path.removeAttribute('stroke');
+        }
 
-                    // Border/Shadow/Blur Overrides
-                    let currentOutline = outlineWidth;
-                    let currentShadow = style.BackColour ? 1 : 0; // heuristic
-                    let currentBlur = 0;
+        const filters = [];
+        const shadowX = state.shadowX * this.activeBorderScaleX;
+        const shadowY = state.shadowY * this.activeBorderScaleY;
+        const blur = (state.blur + state.be) * this.activeBorderScaleY;
+        if (shadowX || shadowY) {
+            filters.push(`drop-shadow(${shadowX}px ${shadowY}px ${blur}px ${this.rgbaString(state.backColor, state.backAlpha)})`);
+        }
+        if (blur > 0) filters.push(`blur(${blur}px)`);
+        svg.style.filter = filters.join(' ');
+    }
 
-                    if (cue.overrides.border !== undefined) currentOutline = cue.overrides.border * scaleX;
-                    if (cue.overrides.shadow !== undefined) currentShadow = cue.overrides.shadow * scaleX;
-                    if (cue.overrides.blur !== undefined) currentBlur = cue.overrides.blur;
+    getDrawingBounds(segments) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const seg of segments) {
+            for (const [x, y] of seg.points) {
+                bounds.minX = Math.min(bounds.minX, x);
+                bounds.minY = Math.min(bounds.minY, y);
+                bounds.maxX = Math.max(bounds.maxX, x);
+                bounds.maxY = Math.max(bounds.maxY, y);
+            }
+        }
+        if (bounds.minX === Infinity) return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        return bounds;
+    }
 
-                    if (currentBlur > 0) {
-                        div.style.filter = `blur(${currentBlur}px)`;
-                    }
+    updateRunStretch(entry) {
+        // scaleX() doesn't change layout width, so pad the run by the difference.
+        // Needs the span to be in the document to measure.
+        if (!entry.stretch || entry.stretch === 1) {
+            entry.span.style.marginRight = '';
+            return;
+        }
+        entry.span.style.marginRight = `${entry.span.offsetWidth * (entry.stretch - 1)}px`;
+    }
 
-                    // Re-apply shadow/outline with overrides
-                    if (currentOutline > 0 || currentShadow > 0) {
-                        const c = outlineColor;
-                        const s = shadowColor;
-                        const o = currentOutline;
-                        // Combined text-shadow for outline
-                        let shadowStr = '';
-                        if (o > 0) {
-                            shadowStr += `-${o}px -${o}px 0 ${c}, ${o}px -${o}px 0 ${c}, -${o}px ${o}px 0 ${c}, ${o}px ${o}px 0 ${c}`;
-                        }
-                        if (currentShadow > 0) {
-                            if (shadowStr) shadowStr += ', ';
-                            shadowStr += `${currentShadow}px ${currentShadow}px ${currentBlur}px ${s}`;
-                        }
-                        div.style.textShadow = shadowStr;
-                    }
+    appendRunText(element, text) {
+        text.split('\n').forEach((part, idx) => {
+            if (idx > 0) element.appendChild(document.createElement('br'));
+            if (part) element.appendChild(document.createTextNode(part));
+        });
+    }
 
-                    // Priority: Move > Pos > Standard
-                    if (cue.overrides.move) {
-                        // Initial pos is x1, y1
-                        div.style.position = 'absolute';
-                        div.style.left = (cue.overrides.move.x1 * scaleX) + 'px';
-                        div.style.top = (cue.overrides.move.y1 * scaleY) + 'px';
-                        this.applyAlignmentTransform(div, alignment);
+    applyRunStyle(span, state, scaleX, scaleY) {
+        span.style.fontFamily = this.cssFontFamily(state.fontName);
+        // Scale font by Y; \fscy folds into the size, \fscx is applied relative to it
+        span.style.fontSize = `${state.fontSize * (state.fontScaleY / 100) * scaleY}px`;
+        span.style.letterSpacing = state.spacing ? `${state.spacing * scaleX}px` : '';
+        if (state.fontScaleX !== state.fontScaleY && state.fontScaleY > 0) {
+            span.style.display = 'inline-block';
+            span.style.transformOrigin = '0 0';
+            span.style.transform = `scaleX(${state.fontScaleX / state.fontScaleY})`;
+        } else {
+            span.style.display = '';
+            span.style.transform = '';
+        }
+        span.style.fontWeight = this.fontWeight(state.bold);
+        span.style.fontStyle = state.italic ? 'italic' : 'normal';
+
+        const decorations = [];
+        if (state.underline) decorations.push('underline');
+        if (state.strikeout) decorations.push('line-through');
+        span.style.textDecoration = decorations.length > 0 ? decorations.join(' ') : 'none';
+
+        span.style.color = this.rgbaString(state.primaryColor, state.primaryAlpha);
+
+        // Sizes follow ScaledBorderAndShadow, see updateActiveScale
+        const ox = state.borderX * this.activeBorderScaleX;
+        const oy = state.borderY * this.activeBorderScaleY;
+        const sx = state.shadowX * this.activeBorderScaleX;
+        const sy = state.shadowY * this.activeBorderScaleY;
+        // \be is approximated with the same gaussian as \blur
+        const blur = (state.blur + state.be) * this.activeBorderScaleY;
+        const outlineColor = this.rgbaString(state.outlineColor, state.outlineAlpha);
+        const backColor = this.rgbaString(state.backColor, state.backAlpha);
+
+        if (state.borderStyle === 3) {
+            // Opaque box: OutlineColour background grown by the outline width, BackColour box as its shadow.
+            // box-shadow spread doesn't change the layout, so neighbouring runs stay where they are.
+            const spread = Math.max(ox, oy);
+            const boxes = [`0 0 0 ${spread}px ${outlineColor}`];
+            if (sx || sy) boxes.push(`${sx}px ${sy}px 0 ${spread}px ${backColor}`);
+            span.style.backgroundColor = outlineColor;
+            span.style.boxShadow = boxes.join(', ');
+            span.style.boxDecorationBreak = 'clone';
+            span.style.textShadow = 'none';
+        } else {
+            // CSS text-stroke is non-standard but widely supported. Text-shadow is safer.
+            // Simulating outline with text-shadow, shadow appended after it
+            const shadows = [];
+            if (ox > 0 || oy > 0) {
+                shadows.push(`-${ox}px -${oy}px 0 ${outlineColor}`, `${ox}px -${oy}px 0 ${outlineColor}`,
+                    `-${ox}px ${oy}px 0 ${outlineColor}`, `${ox}px ${oy}px 0 ${outlineColor}`);
+            }
+            if (sx || sy) shadows.push(`${sx}px ${sy}px ${blur}px ${backColor}`);
+            span.style.backgroundColor = '';
+            span.style.boxShadow = '';
+            span.style.textShadow = shadows.length > 0 ? shadows.join(', ') : 'none';
+        }
+        span.style.filter = blur > 0 ? `blur(${blur}px)` : '';
+    }
 
-                        if (cue.overrides.color) div.style.color = cue.overrides.color;
-                        else div.style.color = color;
-                    }
-                    else if (cue.overrides.pos) {
-                        // Absolute positioning (Explicit)
-                        div.style.position = 'absolute';
-                        div.style.left = (cue.overrides.pos.x * scaleX) + 'px';
-                        div.style.top = (cue.overrides.pos.y * scaleY) + 'px';
-                        this.applyAlignmentTransform(div, alignment);
-
-                        // Apply color override if present
-                        if (cue.overrides.color) div.style.color = cue.overrides.color;
-                        else div.style.color = color;
-                    } else {
-                        // Flex/Standard Alignment with Overrides
-                        this.applyFlexAlignment(div, alignment, style, scaleX, scaleY);
-                        if (cue.overrides.color) div.style.color = cue.overrides.color;
-                        else div.style.color = color;
-                    }
-                } else {
-                    // No overrides - Standard Alignment
-                    div.style.color = color;
-                    this.applyFlexAlignment(div, alignment, style, scaleX, scaleY);
-                }
+    applyClip(element, clip, containerWidth, containerHeight) {
+        if (!clip) {
+            element.style.clipPath = '';
+            return;
+        }
 
-                // Font Styling
-                div.style.fontSize = (fontSize * scaleY) + 'px'; // Scale font by Y
-                div.style.fontFamily = style.Fontname || 'Arial, sans-serif';
-                if (bold) div.style.fontWeight = 'bold';
-                if (italic) div.style.fontStyle = 'italic';
-
-                // Outline/Shadow
-                // Already defined above: outlineWidth
-
-                // CSS text-stroke is non-standard but widely supported. Text-shadow is safer.
-                // Simulating outline with text-shadow
-                if (outlineWidth > 0) {
-                    const o = outlineWidth;
-                    const c = outlineColor;
-                    div.style.textShadow = `-${o}px -${o}px 0 ${c}, ${o}px -${o}px 0 ${c}, -${o}px ${o}px 0 ${c}, ${o}px ${o}px 0 ${c}`;
-                }
-            }
+        let path;
+        if (clip.rect) {
+            const x1 = Math.min(clip.rect.x1, clip.rect.x2) * this.activeScaleX;
+            const x2 = Math.max(clip.rect.x1, clip.rect.x2) * this.activeScaleX;
+            const y1 = Math.min(clip.rect.y1, clip.rect.y2) * this.activeScaleY;
+            const y2 = Math.max(clip.rect.y1, clip.rect.y2) * this.activeScaleY;
+            path = `M ${x1} ${y1} H ${x2} V ${y2} H ${x1} Z`;
+        } else {
+            // \clip(scale, drawing): coordinates are in 1/2^(scale-1) units
+            const divisor = Math.pow(2, clip.scale - 1);
+            const segments = parser.parseASSDrawing(clip.drawing);
+            path = this.drawingToPathData(segments, this.activeScaleX / divisor, this.activeScaleY / divisor) + ' Z';
+        }
 
-            this.overlay.appendChild(div);
-        });
+        if (clip.inverse) {
+            // Cut the shape out of a rectangle covering the frame
+            path = `M 0 0 H ${containerWidth} V ${containerHeight} H 0 Z ${path}`;
+            element.style.clipPath = `path(evenodd, '${path}')`;
+        } else {
+            element.style.clipPath = `path('${path}')`;
+        }
     }
 
     applyAlignmentTransform(element, alignment) {
@@ -645,28 +3174,21 @@ export default class SubtitleRenderer {
             case 9: tx = '-100%'; ty = '0%'; break; // Top Right
         }
 
-        let transform = `translate(${tx}, ${ty})`;
-        if (element.dataset.rotation) {
-            transform += ' ' + element.dataset.rotation;
-            // Add perspective to parent to make 3D effect visible?
-            // Or just adds perspective to element.
-            // 800px is a reasonable default perspective
-            element.style.perspective = '800px';
-        }
-        element.style.transform = transform;
+        element.style.transform = `translate(${tx}, ${ty})`;
     }
 
-    applyFlexAlignment(element, alignment, style, scaleX, scaleY) {
+    applyFlexAlignment(element, alignment, style, scaleX, scaleY, fields) {
         // Alignment 1-9
         element.style.position = 'absolute';
-        element.style.whiteSpace = 'nowrap';
 
         // Calculate Margins/Padding
         // We use them as padding for full-width containers (centered) 
         // or margins for variable-width (left/right aligned)
-        const mL = (parseInt(style.MarginL) || 10) * scaleX;
-        const mR = (parseInt(style.MarginR) || 10) * scaleX;
-        const mV = (parseInt(style.MarginV) || 10) * scaleY;
+        // fields: the Dialogue line's columns, whose non-zero margins replace the style's
+        const margins = this.getASSMargins(style, fields);
+        const mL = margins.left * scaleX;
+        const mR = margins.right * scaleX;
+        const mV = margins.vertical * scaleY;
 
         // Vertical Alignment
         if ([7, 8, 9].includes(alignment)) { // Top
@@ -703,61 +3225,287 @@ export default class SubtitleRenderer {
             element.style.boxSizing = 'border-box';
             element.style.paddingLeft = `${mL}px`;
             element.style.paddingRight = `${mR}px`;
+        }
+    }
 
-            // Remove transform X since we are using width 100%
-            if (element.style.transform && element.style.transform.includes('translateY')) {
-                if (element.dataset.rotation) {
-                    element.style.transform += ' ' + element.dataset.rotation;
-                }
-            } else if (element.style.transform) {
-                let t = element.style.transform.replace(/translateX\([^)]+\)/, '');
-                if (element.dataset.rotation) t += ' ' + element.dataset.rotation;
-                element.style.transform = t;
-            } else if (element.dataset.rotation) {
-                element.style.transform = element.dataset.rotation;
-            }
+    getVideoContentRect(containerW, containerH, vidW, vidH) {
+        // Where object-fit and object-position put the video frame inside the element
+        const style = getComputedStyle(this.video);
+        const fit = style.objectFit || 'contain';
+        let width, height;
+        if (fit === 'fill') {
+            width = containerW;
+            height = containerH;
+        } else {
+            const contain = Math.min(containerW / vidW, containerH / vidH);
+            const scale = fit === 'cover' ? Math.max(containerW / vidW, containerH / vidH)
+                : fit === 'none' ? 1
+                : fit === 'scale-down' ? Math.min(1, contain)
+                : contain;
+            width = vidW * scale;
+            height = vidH * scale;
         }
+        const [offsetX, offsetY] = this.parseObjectPosition(style.objectPosition);
+        return { width, height, left: offsetX(containerW - width), top: offsetY(containerH - height) };
+    }
+
+    parseObjectPosition(value) {
+        // Computed object-position ("50% 50%", "10px 0%", "calc(100% - 10px) 0%") as functions
+        // from the free space on each axis (negative when the frame overflows) to the offset
+        const keywords = { left: '0%', top: '0%', center: '50%', right: '100%', bottom: '100%' };
+        const parts = String(value || '').trim().match(/calc\([^)]*\)|[^\s]+/g) || [];
+        if (parts.length === 2 && /^(top|bottom)$/.test(parts[0])) parts.reverse();
+        const offset = part => {
+            if (!part) return free => free / 2;
+            const expression = keywords[part] || part;
+            let percent = 0;
+            let pixels = 0;
+            for (const match of expression.matchAll(/([+-]?)\s*(-?[\d.]+)(%|px)/g)) {
+                const amount = parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+                if (match[3] === '%') percent += amount;
+                else pixels += amount;
+            }
+            return free => free * percent / 100 + pixels;
+        };
+        return [offset(parts[0]), offset(parts[1])];
     }
 
     resize() {
-        if (!this.video || !this.overlay) return;
+        if (!this.video || !this.overlay || this.destroyed) return;
 
         // Calculate real video dimensions (content rect)
         const vidW = this.video.videoWidth;
         const vidH = this.video.videoHeight;
-        if (!vidW || !vidH) return; // Video not loaded yet
+        if (!vidW || !vidH) return; // Video not loaded yet, attach() resizes again on loadedmetadata
 
         const containerW = this.video.clientWidth || window.innerWidth;
         const containerH = this.video.clientHeight || window.innerHeight;
-
-        const vidRatio = vidW / vidH;
-        const containerRatio = containerW / containerH;
-
-        let realW, realH, osX, osY;
-
-        if (containerRatio > vidRatio) {
-            // Container is wider (Pillarbox)
-            realH = containerH;
-            realW = realH * vidRatio;
-            osX = (containerW - realW) / 2;
-            osY = 0;
-        } else {
-            // Container is taller (Letterbox)
-            realW = containerW;
-            realH = realW / vidRatio;
-            osX = 0;
-            osY = (containerH - realH) / 2;
-        }
+        const { width: realW, height: realH, left: osX, top: osY } = this.getVideoContentRect(containerW, containerH, vidW, vidH);
 
         // Apply to overlay
         this.overlay.style.width = `${realW}px`;
         this.overlay.style.height = `${realH}px`;
         this.overlay.style.left = `${osX}px`;
         this.overlay.style.top = `${osY}px`;
+        // With cover or none the frame can overflow the element; subtitles are cropped with it
+        const crop = [-osY, osX + realW - containerW, osY + realH - containerH, -osX].map(value => value > 0.5 ? value : 0);
+        this.overlay.style.clipPath = crop.some(value => value > 0) ? `inset(${crop.map(value => `${value}px`).join(' ')})` : '';
+        if (this.canvasBackend) this.canvasBackend.resize(realW, realH);
+        this.emit('resize', { width: realW, height: realH, left: osX, top: osY });
 
         // Re-render to update scaling with new Overlay dimensions
         if (this.activeCues.length > 0) {
             this.render();
+            this.applyAnimations(this.toTrackTime());
+        }
+    }
+}
+
+export class SubtitleTrackManager extends EventTarget {
+    // Several tracks over one video, e.g. Japanese ASS plus English SRT for language learners.
+    // Every track is a full SubtitleRenderer (own format, styles, PlayRes scaling, timing and
+    // fonts) drawing into its own layer of the shared overlay. Earlier tracks keep their place;
+    // default-placed lines of later tracks move out of their way.
+    // Events: 'load', 'error' and 'cuechange' of every track, with the track id added to detail.
+    constructor(videoElement, overlayElement, options = {}) {
+        super();
+        this.video = videoElement;
+        this.overlay = overlayElement; // Should cover the whole video element; tracks fit themselves to the content inside it
+        // Passed on to every track's renderer (backend, logger, ...). renderLoop is the manager's
+        // own: one loop for all tracks that skips hidden ones, instead of one loop per track.
+        const { renderLoop, ...trackOptions } = options;
+        this.options = trackOptions;
+        this.tracks = []; // { id, label, language, visible, renderer, element }, in stacking order
+        this.nextTrackId = 1;
+        this.watcher = null; // VideoWatcher while attached
+        this.destroyed = false;
+
+        // Bind methods
+        this.update = this.update.bind(this);
+        this.resize = this.resize.bind(this);
+
+        this.frameLoop = new FrameLoop(videoElement, this.update);
+        if (renderLoop) this.startRenderLoop();
+    }
+
+    startRenderLoop() {
+        if (this.destroyed) return;
+        this.frameLoop.start();
+    }
+
+    stopRenderLoop() {
+        this.frameLoop.stop();
+    }
+
+    async addTrack(source, options = {}) {
+        // source: URL, { text } or { data } (Blob/ArrayBuffer/TypedArray)
+        // options: load options (format, encoding, fonts, signal, name) plus label, language, offset, scale, visible
+        if (this.destroyed) throw new DOMException('The track manager was destroyed', 'AbortError');
+        const element = document.createElement('div');
+        element.className = 'subtitle-track';
+        element.style.position = 'absolute';
+        element.style.left = '0';
+        element.style.top = '0';
+        element.style.width = '100%';
+        element.style.height = '100%';
+        element.style.pointerEvents = 'none';
+
+        const renderer = new SubtitleRenderer(this.video, element, this.options);
+        const track = {
+            id: this.nextTrackId++,
+            label: options.label || '',
+            language: options.language || '',
+            visible: options.visible !== false,
+            renderer,
+            element
+        };
+        renderer.collisionObstacles = () => this.getObstacles(track);
+        if (options.offset) renderer.setOffset(options.offset);
+        if (options.scale) renderer.setScale(options.scale);
+
+        for (const type of ['load', 'error', 'cuechange']) {
+            renderer.addEventListener(type, e => {
+                if (type === 'cuechange') this.relayoutAfter(track);
+                this.dispatchEvent(new CustomEvent(type, { detail: { ...e.detail, track: track.id } }));
+            });
+        }
+
+        element.style.display = track.visible ? '' : 'none';
+        this.overlay.appendChild(element);
+        this.tracks.push(track);
+
+        try {
+            if (typeof source === 'string') await renderer.loadTrack(source, options.format, options);
+            else if (source && source.text !== undefined) await renderer.loadFromText(source.text, options.format, options);
+            else await renderer.loadFromData(source && source.data !== undefined ? source.data : source, options);
+        } catch (e) {
+            this.removeTrack(track);
+            throw e;
+        }
+        return this.describeTrack(track);
+    }
+
+    removeTrack(ref) {
+        const track = this.getTrack(ref);
+        if (!track) return;
+        this.tracks.splice(this.tracks.indexOf(track), 1);
+        track.renderer.destroy();
+        track.element.remove();
+        this.relayoutAfter(null);
+    }
+
+    moveTrack(ref, index) {
+        // Lower indexes keep their place when lines collide and are painted below later tracks
+        const track = this.getTrack(ref);
+        if (!track) return;
+        this.tracks.splice(this.tracks.indexOf(track), 1);
+        this.tracks.splice(Math.max(0, Math.min(index, this.tracks.length)), 0, track);
+        for (const item of this.tracks) this.overlay.appendChild(item.element);
+        this.relayoutAfter(null);
+    }
+
+    setTrackVisible(ref, visible) {
+        const track = this.getTrack(ref);
+        if (!track || track.visible === visible) return;
+        track.visible = visible;
+        track.element.style.display = visible ? '' : 'none';
+        if (visible) {
+            // Catch up on what changed while hidden
+            track.renderer.update();
+            track.renderer.resize();
+        }
+        this.relayoutAfter(null);
+    }
+
+    toggleTrack(ref) {
+        const track = this.getTrack(ref);
+        if (track) this.setTrackVisible(track, !track.visible);
+    }
+
+    getTracks() {
+        return this.tracks.map(track => this.describeTrack(track));
+    }
+
+    getTrack(ref) {
+        // Track object, track id or the object returned by getTracks()/addTrack()
+        const id = typeof ref === 'number' ? ref : ref && ref.id;
+        return this.tracks.find(track => track.id === id) || null;
+    }
+
+    describeTrack(track) {
+        return {
+            id: track.id,
+            label: track.label,
+            language: track.language,
+            format: track.renderer.format,
+            cueCount: track.renderer.cues.length,
+            visible: track.visible,
+            renderer: track.renderer // For per-track timing (setOffset, setScale) and events
+        };
+    }
+
+    getObstacles(track) {
+        // Collision boxes of the visible tracks stacked before this one
+        const boxes = [];
+        for (const other of this.tracks) {
+            if (other === track) break;
+            if (other.visible) boxes.push(...other.renderer.getCollisionBoxes());
+        }
+        return boxes;
+    }
+
+    relayoutAfter(track) {
+        // Lines of an earlier track changed: later tracks place their lines again around them.
+        // Without a track (tracks added, removed, moved or toggled) every track starts from
+        // scratch instead of keeping lines where they were.
+        const start = track ? this.tracks.indexOf(track) + 1 : 0;
+        for (const other of this.tracks.slice(start)) {
+            const renderer = other.renderer;
+            if (!other.visible || !renderer.isEnabled || renderer.activeCues.length === 0) continue;
+            if (!track) renderer.collisionShifts = new Map();
+            renderer.render();
+            renderer.applyAnimations(renderer.toTrackTime());
+        }
+    }
+
+    attach() {
+        // Same as SubtitleRenderer.attach(), driving every track from one set of listeners
+        if (this.watcher || this.destroyed) return this;
+        this.watcher = new VideoWatcher(this.video, this.overlay, {
+            update: () => this.update(),
+            resize: () => this.resize(),
+            log: (level, ...args) => {
+                const logger = this.options.logger || (this.options.debug ? console : null);
+                if (logger && typeof logger[level] === 'function') logger[level](...args);
+            }
+        });
+        this.watcher.start();
+        this.resize();
+        this.update();
+        return this;
+    }
+
+    destroy() {
+        // Detaches and removes every track, see SubtitleRenderer.destroy(). addTrack() rejects afterwards.
+        if (this.destroyed) return;
+        this.destroyed = true;
+        if (this.watcher) {
+            this.watcher.stop();
+            this.watcher = null;
+        }
+        this.stopRenderLoop();
+        for (const track of [...this.tracks]) this.removeTrack(track);
+    }
+
+    update(mediaTime) {
+        for (const track of this.tracks) {
+            if (track.visible) track.renderer.update(mediaTime);
+        }
+    }
+
+    resize() {
+        for (const track of this.tracks) {
+            if (track.visible) track.renderer.resize();
         }
     }
 }
@@ -0,0 +1,1381 @@
+// Subtitle parsers as plain functions: text in, data out.
+// Nothing here touches document, window or a video element, so the same code parses tracks
+// in Node (validation, search indexing, tests) and inside SubtitleRenderer.
+//
+// parseVTT / parseSRT / parseASS (or parseSubtitles to dispatch) return a SubtitleDocument (typed below).
+// SSA v4 scripts (scriptType 'v4.00') come out in the same model as ASS: numpad alignment,
+// OutlineColour and the V4+ style columns; styleFormat/eventFormat still list the columns as written.
+// Cues, styles, regions and fonts carry the 1-based `sourceLine` they were read from.
+// Diagnostics are sorted by position. Errors mean something was dropped, warnings that a fallback was used.
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {'error' | 'warning' | 'info'} severity
+ * @property {string} code Stable id, e.g. 'malformed-timestamp', 'unknown-style', 'unclosed-override'
+ * @property {string} message
+ * @property {number} line 1-based
+ * @property {number} column 1-based
+ */
+
+/**
+ * Node of parsed WebVTT cue text, see parseVTTCueText.
+ * @typedef {Object} VTTNode
+ * @property {'text' | 'timestamp' | 'element'} type
+ * @property {string} [text] 'text' nodes; '\n' is a line break
+ * @property {number} [time] 'timestamp' nodes, in seconds
+ * @property {string} [name] 'element' nodes: c, i, b, u, ruby, rt, v or lang
+ * @property {string[]} [classes]
+ * @property {string} [annotation] Voice of <v>, language of <lang>
+ * @property {VTTNode[]} [children]
+ */
+
+/**
+ * Stretch of an ASS line with the same styling, see parseASSRuns.
+ * @typedef {Object} ASSRun
+ * @property {string} text Unescaped text ('\n' for \N, NBSP for \h); '' for drawings
+ * @property {string | null} styleName Style named by the last \rName, null for the line's own style
+ * @property {Object} tags Override tags since the last \r, see applyStyleTag
+ * @property {Array<{ t1: number, t2: number, accel: number, tags: Object }>} transforms \t animations in effect
+ * @property {{ type: string, start: number, duration: number } | null} karaoke Syllable, times in ms from the line start (shared by the runs of one syllable)
+ * @property {{ commands: string, scale: number, baselineOffset: number }} [drawing] \p mode shape instead of text
+ */
+
+/**
+ * @typedef {Object} Cue
+ * @property {number} start Seconds
+ * @property {number} end Seconds
+ * @property {string} text Escaped cue markup, lines joined with '<br>'
+ * @property {'vtt' | 'srt' | 'ass'} format
+ * @property {number} sourceLine
+ * @property {string} [id] vtt
+ * @property {VTTNode[]} [nodes] vtt
+ * @property {string[]} [voices] vtt: speakers of <v> tags, in order
+ * @property {Object} [settings] vtt cue settings; for srt derived from {\anN}
+ * @property {string} [rawText] srt and ass: text as written
+ * @property {number} [alignment] srt: numpad alignment from {\anN}, 2 by default
+ * @property {ASSRun[]} [runs] ass
+ * @property {string} [styleName] ass
+ * @property {number} [layer] ass
+ * @property {number} [index] ass: position among the Dialogue lines
+ * @property {Object} [overrides] ass: line-level tags, see parseOverrides
+ * @property {Object<string, string>} [fields] ass: every event column as written
+ */
+
+/**
+ * @typedef {Object} SubtitleDocument
+ * @property {'vtt' | 'srt' | 'ass'} format
+ * @property {Cue[]} cues
+ * @property {Diagnostic[]} diagnostics
+ * @property {string} [header] vtt: text after WEBVTT
+ * @property {Object<string, Object>} [regions] vtt: REGION settings by id
+ * @property {Array<{ css: string, sourceLine: number }>} [styleSheets] vtt: STYLE blocks
+ * @property {'v4.00' | 'v4.00+'} [scriptType] ass
+ * @property {Object<string, string>} [scriptInfo] ass: [Script Info] fields as written
+ * @property {{ playResX: number, playResY: number, layoutResX: number, layoutResY: number, wrapStyle: number, scaledBorderAndShadow: boolean, collisions: 'normal' | 'reverse' }} [assParams] ass, with PlayRes resolved
+ * @property {string[] | null} [styleFormat] ass: style Format: columns as written
+ * @property {string[] | null} [eventFormat] ass: event Format: columns as written
+ * @property {Object<string, Object<string, string>>} [styles] ass: style columns by name
+ * @property {Array<{ name: string, data: Uint8Array, sourceLine: number }>} [fonts] ass: decoded [Fonts] entries
+ */
+
+// Override tag names, longest first so prefixes match correctly (\fscx before \fs, \fade before \fad)
+export const ASS_TAG_NAMES = [
+    'xbord', 'ybord', 'xshad', 'yshad', 'iclip', 'alpha', 'blur', 'bord', 'shad', 'fscx', 'fscy', 'fade', 'move', 'clip',
+    'fsp', 'fax', 'fay', 'frx', 'fry', 'frz', 'fad', 'pos', 'org', 'pbo',
+    'an', 'be', 'fe', 'fn', 'fs', 'fr', 'kf', 'ko', '1c', '2c', '3c', '4c', '1a', '2a', '3a', '4a',
+    'a', 'b', 'c', 'i', 'k', 'K', 'p', 'q', 'r', 's', 't', 'u'
+];
+
+// Standard [V4+ Styles] and [Events] columns, used when a section has no Format: line of its own
+export const ASS_STYLE_FORMAT = ['Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'OutlineColour', 'BackColour',
+    'Bold', 'Italic', 'Underline', 'StrikeOut', 'ScaleX', 'ScaleY', 'Spacing', 'Angle', 'BorderStyle', 'Outline', 'Shadow',
+    'Alignment', 'MarginL', 'MarginR', 'MarginV', 'Encoding'];
+export const ASS_EVENT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+// The same for SSA v4 ([V4 Styles], ScriptType: v4.00)
+export const SSA_STYLE_FORMAT = ['Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'TertiaryColour', 'BackColour',
+    'Bold', 'Italic', 'BorderStyle', 'Outline', 'Shadow', 'Alignment', 'MarginL', 'MarginR', 'MarginV', 'AlphaLevel', 'Encoding'];
+export const SSA_EVENT_FORMAT = ['Marked', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+/** @returns {SubtitleDocument} */
+export function parseSubtitles(text, format) {
+    // format: 'vtt' | 'srt' | 'ass' | 'ssa', sniffed from the content when omitted
+    const type = format || detectFormat('', text);
+    if (type === 'ass' || type === 'ssa') return parseASS(text);
+    if (type === 'srt') return parseSRT(text);
+    return parseVTT(text);
+}
+
+function createReporter(diagnostics) {
+    return (severity, code, message, line, column = 1) => {
+        diagnostics.push({ severity, code, message, line, column });
+    };
+}
+
+function finishDocument(doc) {
+    doc.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    return doc;
+}
+
+function excerpt(text) {
+    return text.length > 40 ? `${text.substring(0, 40)}...` : text;
+}
+
+function reportDuplicates(cues, keyOf, report) {
+    // Cues with the same content whose times overlap; usually a muxing or merge mistake.
+    // Back-to-back repeats (one ends as the next starts) are left alone.
+    const latest = new Map(); // key -> cue with that key that ends last so far
+    const sorted = cues.slice().sort((a, b) => a.start - b.start);
+    for (const cue of sorted) {
+        const key = keyOf(cue);
+        const previous = latest.get(key);
+        if (previous && previous.end > cue.start) {
+            report('warning', 'duplicate-cue', `Cue overlaps an identical cue at line ${previous.sourceLine}`, cue.sourceLine);
+            if (cue.end <= previous.end) continue;
+        }
+        latest.set(key, cue);
+    }
+}
+
+/** @returns {SubtitleDocument} */
+export function parseVTT(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+    const doc = { format: 'vtt', header: '', regions: {}, styleSheets: [], cues: [], diagnostics: [] };
+    const report = createReporter(doc.diagnostics);
+    let i = 0;
+
+    const skipBlock = () => {
+        while (i < lines.length && lines[i].trim() !== '') i++;
+    };
+
+    if (lines[0].startsWith('WEBVTT')) {
+        doc.header = lines[0].substring(6).trim();
+        i++;
+        // Header metadata (Kind:, Language:, ...) runs up to the first blank line
+        while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) i++;
+    } else {
+        report('warning', 'missing-header', 'File does not start with "WEBVTT"', 1);
+    }
+
+    while (i < lines.length) {
+        const line = lines[i].trim();
+        const lineNumber = i + 1;
+
+        // Skip empty lines and NOTE comments
+        if (!line) {
+            i++;
+            continue;
+        }
+        if (/^NOTE(\s|$)/.test(line)) {
+            skipBlock();
+            continue;
+        }
+
+        // STYLE block: CSS for ::cue, only allowed before the first cue
+        if (/^STYLE\s*$/.test(line)) {
+            i++;
+            const cssLines = [];
+            while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) cssLines.push(lines[i++]);
+            if (doc.cues.length > 0) {
+                report('warning', 'misplaced-style', 'STYLE blocks after the first cue are ignored', lineNumber);
+            } else if (cssLines.length > 0) {
+                doc.styleSheets.push({ css: cssLines.join('\n'), sourceLine: lineNumber });
+            }
+            continue;
+        }
+
+        // REGION definition block (header only, settings may span several lines)
+        if (/^REGION\s*$/.test(line)) {
+            i++;
+            const settingLines = [];
+            while (i < lines.length && lines[i].trim() !== '') {
+                settingLines.push(lines[i].trim());
+                i++;
+            }
+            const region = parseVTTRegion(settingLines.join(' '));
+            if (region) {
+                region.sourceLine = lineNumber;
+                doc.regions[region.id] = region;
+            } else {
+                report('warning', 'invalid-region', 'REGION without an id is ignored', lineNumber);
+            }
+            continue;
+        }
+
+        // Optional cue identifier on the line before the timing
+        let id = '';
+        if (!line.includes('-->')) {
+            if (i + 1 >= lines.length || !lines[i + 1].includes('-->')) {
+                report('warning', 'unexpected-text', `Ignored text outside a cue: "${excerpt(line)}"`, lineNumber);
+                skipBlock();
+                continue;
+            }
+            id = line;
+            i++;
+        }
+
+        // Timing: 00:00:00.000 --> 00:00:05.000 [settings]
+        const timingLine = lines[i];
+        const cueLine = i + 1;
+        const arrow = timingLine.indexOf('-->');
+        const startStr = timingLine.substring(0, arrow).trim();
+        const endAndSettings = timingLine.substring(arrow + 3).trim().split(/\s+/);
+        const start = parseTime(startStr);
+        const end = parseTime(endAndSettings[0]);
+        const settings = parseVTTCueSettings(endAndSettings.slice(1));
+
+        // Collect text payload
+        const payload = [];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '') {
+            const lineStr = lines[i];
+            // Filter ASS drawing commands often found in raw VTT extractions
+            // Pattern: 'm <coords> ...'
+            if (/^m\s+-?\d+/.test(lineStr.trim())) {
+                report('info', 'drawing-line', `Ignored drawing line: "${excerpt(lineStr.trim())}"`, i + 1);
+            } else {
+                payload.push(lineStr);
+            }
+            i++;
+        }
+
+        if (isNaN(start) || isNaN(end)) {
+            const bad = isNaN(start) ? startStr : endAndSettings[0];
+            const column = isNaN(start) ? timingLine.indexOf(startStr) + 1 : timingLine.indexOf(bad, arrow + 3) + 1;
+            report('error', 'malformed-timestamp', `Malformed timestamp "${bad}", cue skipped`, cueLine, Math.max(1, column));
+            continue;
+        }
+        if (end < start) report('warning', 'negative-duration', 'Cue ends before it starts', cueLine);
+
+        if (payload.length === 0) {
+            report('warning', 'empty-cue', 'Cue has no text', cueLine);
+            continue;
+        }
+
+        const textContent = payload.join('<br>');
+
+        // Drop consecutive identical cues
+        const last = doc.cues[doc.cues.length - 1];
+        if (last && last.start === start && last.end === end && last.text === textContent) {
+            report('warning', 'duplicate-cue', `Dropped repeat of the cue at line ${last.sourceLine}`, cueLine);
+            continue;
+        }
+
+        const nodes = parseVTTCueText(payload.join('\n'));
+        doc.cues.push({
+            id,
+            start,
+            end,
+            text: textContent,
+            nodes, // Cue text as a tree, see parseVTTCueText
+            voices: getVTTVoices(nodes), // Speakers named by <v> tags, in order
+            settings,
+            format: 'vtt',
+            sourceLine: cueLine
+        });
+    }
+
+    reportDuplicates(doc.cues, cue => cue.text, report);
+    return finishDocument(doc);
+}
+
+export function parseVTTCueText(text) {
+    // WebVTT cue text -> tree of nodes, following the cue text parsing rules:
+    //   { type: 'text', text } ('\n' is a line break), { type: 'timestamp', time },
+    //   { type: 'element', name, classes, annotation, children } for c, i, b, u, ruby, rt, v and lang.
+    // Unknown tags are dropped (their content stays), stray end tags ignored, open ones closed at the end.
+    const root = { name: '', children: [] };
+    const stack = [root];
+    const pattern = /<([^>]*)>?|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        const current = stack[stack.length - 1];
+        if (match[2] !== undefined) {
+            current.children.push({ type: 'text', text: decodeEntities(match[2]) });
+            continue;
+        }
+
+        const tag = match[1];
+        if (/^\d/.test(tag)) {
+            const time = parseTime(tag);
+            if (!isNaN(time)) current.children.push({ type: 'timestamp', time });
+            continue;
+        }
+        if (tag.startsWith('/')) {
+            const name = tag.substring(1).trim();
+            if (name === current.name) stack.pop();
+            else if (name === 'ruby' && current.name === 'rt') stack.length -= 2;
+            continue;
+        }
+
+        const [head, ...rest] = tag.split(/[\s]+/);
+        const [name, ...classes] = head.split('.');
+        if (!['c', 'i', 'b', 'u', 'ruby', 'rt', 'v', 'lang'].includes(name)) continue;
+        if (name === 'rt' && current.name !== 'ruby') continue;
+        const element = { type: 'element', name, classes: classes.filter(Boolean), annotation: rest.join(' ').trim(), children: [] };
+        current.children.push(element);
+        stack.push(element);
+    }
+
+    return root.children;
+}
+
+function getVTTVoices(nodes, voices = []) {
+    for (const node of nodes) {
+        if (node.type !== 'element') continue;
+        if (node.name === 'v' && node.annotation && !voices.includes(node.annotation)) voices.push(node.annotation);
+        getVTTVoices(node.children, voices);
+    }
+    return voices;
+}
+
+/** @returns {SubtitleDocument} */
+export function parseSRT(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+    const doc = { format: 'srt', cues: [], diagnostics: [] };
+    const report = createReporter(doc.diagnostics);
+    let i = 0;
+
+    while (i < lines.length) {
+        if (lines[i].trim() === '') {
+            i++;
+            continue;
+        }
+
+        // A block runs up to the next blank line
+        const first = i;
+        while (i < lines.length && lines[i].trim() !== '') i++;
+        const block = lines.slice(first, i);
+
+        // Numeric index is optional in the wild
+        const timing = block.findIndex(l => l.includes('-->'));
+        if (timing === -1) {
+            report('warning', 'unexpected-text', `Ignored block without a timing line: "${excerpt(block[0].trim())}"`, first + 1);
+            continue;
+        }
+        const timingLine = block[timing];
+        const lineNumber = first + timing + 1;
+
+        // 00:00:01,500 --> 00:00:04,000 [X1:.. X2:.. Y1:.. Y2:..]
+        const arrow = timingLine.indexOf('-->');
+        const startStr = timingLine.substring(0, arrow).trim();
+        const endStr = timingLine.substring(arrow + 3).trim().split(/\s+/)[0];
+        const start = parseSRTTime(startStr);
+        const end = parseSRTTime(endStr);
+        if (isNaN(start) || isNaN(end)) {
+            const bad = isNaN(start) ? startStr : endStr;
+            const column = isNaN(start) ? timingLine.indexOf(startStr) + 1 : timingLine.indexOf(bad, arrow + 3) + 1;
+            report('error', 'malformed-timestamp', `Malformed timestamp "${bad}", cue skipped`, lineNumber, Math.max(1, column));
+            continue;
+        }
+        if (end < start) report('warning', 'negative-duration', 'Cue ends before it starts', lineNumber);
+
+        const payload = block.slice(timing + 1);
+        if (payload.length === 0) {
+            report('warning', 'empty-cue', 'Cue has no text', lineNumber);
+            continue;
+        }
+
+        let rawText = payload.join('\n');
+
+        // {\an8}-style position hints; other {\...} blocks are dropped
+        let alignment = 2;
+        const anMatch = rawText.match(/{\\an([1-9])}/);
+        if (anMatch) alignment = parseInt(anMatch[1]);
+        rawText = rawText.replace(/{\\[^}]*}/g, '');
+
+        doc.cues.push({
+            start,
+            end,
+            text: rawText.split('\n').map(l => srtTagsToHtml(l)).join('<br>'),
+            rawText: payload.join('\n'),
+            alignment,
+            settings: srtAlignmentToVTTSettings(alignment),
+            format: 'srt',
+            sourceLine: lineNumber
+        });
+    }
+
+    reportDuplicates(doc.cues, cue => cue.text, report);
+    return finishDocument(doc);
+}
+
+function splitEventFields(content, count) {
+    // Dialogue values: the first count - 1 are comma separated, the last (Text) keeps its commas.
+    // Each value comes with its offset in `content`, for diagnostics.
+    const fields = [];
+    let pos = 0;
+    for (let n = 0; n < count - 1; n++) {
+        const comma = content.indexOf(',', pos);
+        if (comma === -1) return null;
+        const raw = content.substring(pos, comma);
+        fields.push({ value: raw.trim(), offset: pos + raw.length - raw.trimStart().length });
+        pos = comma + 1;
+    }
+    fields.push({ value: content.substring(pos), offset: pos });
+    return fields;
+}
+
+function findUnclosedOverride(text) {
+    // Position of a '{' that is never closed (rendered as text), or -1
+    let i = 0;
+    while ((i = text.indexOf('{', i)) !== -1) {
+        const close = text.indexOf('}', i);
+        if (close === -1) return i;
+        i = close + 1;
+    }
+    return -1;
+}
+
+/** @returns {SubtitleDocument} */
+export function parseASS(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+    const doc = {
+        format: 'ass',
+        scriptType: null, // 'v4.00' (SSA) or 'v4.00+' (ASS), from ScriptType or else the styles section name
+        scriptInfo: {},
+        // PlayRes and LayoutRes stay 0 until resolved after [Script Info] (see resolveASSResolution)
+        assParams: { playResX: 0, playResY: 0, layoutResX: 0, layoutResY: 0, wrapStyle: 0, scaledBorderAndShadow: false, collisions: 'normal' },
+        styleFormat: null, // Format: columns as written, null when the section had none
+        eventFormat: null,
+        styles: {},
+        cues: [],
+        fonts: [],
+        diagnostics: []
+    };
+    const report = createReporter(doc.diagnostics);
+    let section = '';
+    let styleFormat = null; // Columns in effect: the Format: line, or the standard ones after a warning
+    let eventFormat = null;
+    let eventIndex = 0; // Position of each Dialogue line in [Events]
+    const fonts = []; // [Fonts] entries: { name, lines, sourceLine }
+    const styleRefs = []; // { cue, column } checked once every style is known
+
+    for (let n = 0; n < lines.length; n++) {
+        const rawLine = lines[n];
+        const line = rawLine.trim();
+        const lineNumber = n + 1;
+        if (!line) continue;
+
+        // UU-encoded font data can start with '[' too, but never contains lowercase letters or spaces
+        if (/^\[.*[a-z ].*\]$/.test(line)) {
+            section = line;
+            if (!doc.scriptType && section === '[V4 Styles]') doc.scriptType = 'v4.00';
+            if (!doc.scriptType && section === '[V4+ Styles]') doc.scriptType = 'v4.00+';
+            continue;
+        }
+        const ssa = doc.scriptType === 'v4.00';
+
+        if (section === '[Fonts]') {
+            if (line.startsWith('fontname:')) {
+                fonts.push({ name: line.substring(9).trim(), lines: [], sourceLine: lineNumber });
+            } else if (fonts.length > 0) {
+                fonts[fonts.length - 1].lines.push(line);
+            }
+            continue;
+        }
+
+        if (section === '[Script Info]') {
+            if (line.startsWith(';')) continue; // Comment
+            const parts = line.split(':');
+            if (parts.length >= 2) {
+                const key = parts[0].trim();
+                const value = parts[1].trim();
+                // Full value, titles and URLs may contain colons
+                doc.scriptInfo[key] = parts.slice(1).join(':').trim();
+                if (key === 'ScriptType') doc.scriptType = /^v4\.00$/i.test(value) ? 'v4.00' : 'v4.00+';
+                if (key === 'PlayResX') doc.assParams.playResX = Math.max(0, parseInt(value) || 0);
+                if (key === 'PlayResY') doc.assParams.playResY = Math.max(0, parseInt(value) || 0);
+                if (key === 'LayoutResX') doc.assParams.layoutResX = Math.max(0, parseInt(value) || 0);
+                if (key === 'LayoutResY') doc.assParams.layoutResY = Math.max(0, parseInt(value) || 0);
+                if (key === 'WrapStyle') {
+                    const wrapStyle = parseInt(value);
+                    if (wrapStyle >= 0 && wrapStyle <= 3) doc.assParams.wrapStyle = wrapStyle;
+                    else report('warning', 'invalid-wrap-style', `WrapStyle "${value}" is not 0-3, using 0`, lineNumber);
+                }
+                if (key === 'ScaledBorderAndShadow') doc.assParams.scaledBorderAndShadow = /^(yes|1|true)$/i.test(value);
+                if (key === 'Collisions') doc.assParams.collisions = value.toLowerCase() === 'reverse' ? 'reverse' : 'normal';
+            }
+        }
+        else if (section === '[V4+ Styles]' || section === '[V4 Styles]') {
+            if (line.startsWith('Format:')) {
+                styleFormat = doc.styleFormat = line.substring(7).split(',').map(s => s.trim());
+            } else if (line.startsWith('Style:')) {
+                if (!styleFormat) {
+                    report('warning', 'missing-format', `${section} has no Format: line, assuming the standard columns`, lineNumber);
+                    styleFormat = ssa ? SSA_STYLE_FORMAT : ASS_STYLE_FORMAT;
+                }
+                const parts = line.substring(6).split(',');
+                const style = {};
+                styleFormat.forEach((key, idx) => {
+                    if (idx < parts.length) style[key] = parts[idx].trim();
+                });
+                style.sourceLine = lineNumber;
+                if (ssa) convertSSAStyle(style);
+                doc.styles[style.Name] = style;
+            }
+        }
+        else if (section === '[Events]') {
+            if (line.startsWith('Format:')) {
+                doc.eventFormat = line.substring(7).split(',').map(s => s.trim());
+                eventFormat = doc.eventFormat;
+                if (!['Start', 'End', 'Text'].every(key => eventFormat.includes(key))) {
+                    report('error', 'invalid-format', 'Events Format: line lacks Start, End or Text, assuming the standard columns', lineNumber);
+                    eventFormat = ssa ? SSA_EVENT_FORMAT : ASS_EVENT_FORMAT;
+                }
+            } else if (line.startsWith('Dialogue:')) {
+                const index = eventIndex++;
+                if (!eventFormat) {
+                    report('warning', 'missing-format', '[Events] has no Format: line, assuming the standard columns', lineNumber);
+                    eventFormat = ssa ? SSA_EVENT_FORMAT : ASS_EVENT_FORMAT;
+                }
+
+                // Dialogue: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+                // (SSA has Marked=0 where ASS has Layer). Text is the last field and can contain commas.
+                const colon = line.indexOf(':');
+                const rest = line.substring(colon + 1);
+                const base = rawLine.length - rawLine.trimStart().length + colon + 1 + rest.length - rest.trimStart().length;
+                const fields = splitEventFields(rest.trim(), eventFormat.length);
+                if (!fields) {
+                    report('error', 'malformed-event', `Dialogue has fewer than ${eventFormat.length} fields, skipped`, lineNumber);
+                    continue;
+                }
+
+                const event = {};
+                eventFormat.forEach((key, idx) => event[key] = fields[idx].value);
+                const column = key => base + fields[eventFormat.indexOf(key)].offset + 1;
+
+                const start = parseASSTime(event['Start']);
+                const end = parseASSTime(event['End']);
+                if (isNaN(start) || isNaN(end)) {
+                    const key = isNaN(start) ? 'Start' : 'End';
+                    report('error', 'malformed-timestamp', `Malformed timestamp "${event[key]}", event skipped`, lineNumber, column(key));
+                    continue;
+                }
+                if (end < start) report('warning', 'negative-duration', 'Event ends before it starts', lineNumber, column('End'));
+
+                const rawText = event['Text'];
+                const unclosed = findUnclosedOverride(rawText);
+                if (unclosed !== -1) {
+                    report('warning', 'unclosed-override', 'Override block is never closed and shows as text', lineNumber, column('Text') + unclosed);
+                }
+
+                const overrides = parseOverrides(rawText);
+                const wrapStyle = overrides.wrapStyle !== undefined ? overrides.wrapStyle : doc.assParams.wrapStyle;
+                const runs = parseASSRuns(rawText, doc.styles, wrapStyle);
+                // Text of the line (drawings excluded), kept for logging and diffing.
+                // Escaped like VTT/SRT cue text, so it is safe wherever cue.text ends up.
+                const cleanText = escapeMarkup(runs.filter(run => !run.drawing).map(run => run.text).join('')).replace(/\n/g, '<br>');
+
+                const cue = {
+                    start,
+                    end,
+                    text: cleanText,
+                    rawText,
+                    runs,
+                    // SSA style names may carry a leading '*', which players ignore
+                    styleName: ssa ? String(event['Style']).replace(/^\*/, '') : event['Style'],
+                    layer: parseInt(event['Layer']) || 0,
+                    index,
+                    overrides,
+                    fields: event, // All event columns as written (Name, margins, Effect, ...), for exportTrack
+                    format: 'ass',
+                    sourceLine: lineNumber
+                };
+                doc.cues.push(cue);
+                if (eventFormat.includes('Style')) styleRefs.push({ cue, column: column('Style') });
+            }
+        }
+    }
+
+    // Styles may be declared after the events that use them, so references are checked at the end
+    for (const { cue, column } of styleRefs) {
+        if (!doc.styles[cue.styleName]) {
+            report('warning', 'unknown-style', `Unknown style "${cue.styleName}", using Default`, cue.sourceLine, column);
+        }
+    }
+
+    if (!doc.scriptType) doc.scriptType = 'v4.00+';
+    resolveASSResolution(doc.assParams);
+    reportDuplicates(doc.cues, cue => `${cue.layer}\n${cue.styleName}\n${cue.rawText}`, report);
+    doc.fonts = fonts.map(font => ({ name: font.name, data: decodeUUFont(font.lines.join('')), sourceLine: font.sourceLine }));
+    return finishDocument(doc);
+}
+
+function convertSSAStyle(style) {
+    // An SSA v4 style in V4+ terms, as libass reads it: outline and shadow both use BackColour
+    // (TertiaryColour stays on the style but is not drawn), and Alignment is renumbered.
+    // AlphaLevel is kept as written; players ignore it.
+    if (style.Name) style.Name = style.Name.replace(/^\*/, '');
+    if (style.BackColour !== undefined) style.OutlineColour = style.BackColour;
+    const alignment = ssaToASSAlignment(parseInt(style.Alignment));
+    style.Alignment = String(alignment || 2);
+}
+
+export function ssaToASSAlignment(value) {
+    // Legacy \a / SSA numbering: 1-3 bottom, +4 top, +8 middle (9-11). Numpad 1-9, or null if invalid.
+    const column = value & 3;
+    if (!(value >= 1 && value <= 11) || column === 0) return null;
+    if (value & 4) return column + 6;
+    if (value & 8) return column + 3;
+    return column;
+}
+
+function resolveASSResolution(params) {
+    // Missing PlayRes is derived from the other axis the way libass does (1280x1024 and 4:3
+    // otherwise), 384x288 when neither is given. LayoutRes only counts with both axes.
+    if (!params.playResX && !params.playResY) {
+        params.playResX = 384;
+        params.playResY = 288;
+    } else if (!params.playResY) {
+        params.playResY = params.playResX === 1280 ? 1024 : Math.floor(params.playResX * 3 / 4);
+    } else if (!params.playResX) {
+        params.playResX = params.playResY === 1024 ? 1280 : Math.floor(params.playResY * 4 / 3);
+    }
+    if (!params.layoutResX || !params.layoutResY) {
+        params.layoutResX = 0;
+        params.layoutResY = 0;
+    }
+}
+
+export function parseTime(timeStr) {
+    // 00:00:05.123, 00:05.123 or 0:00:05.12 (ASS); NaN when malformed
+    const match = String(timeStr).trim().match(/^(?:(\d+):)?(\d+):(\d+(?:\.\d*)?)$/);
+    if (!match) return NaN;
+    return (parseInt(match[1]) || 0) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]);
+}
+
+export function parseSRTTime(timeStr) {
+    // 00:00:01,500 (some files use '.' like VTT)
+    return parseTime(timeStr.replace(',', '.'));
+}
+
+export function parseASSTime(timeStr) {
+    // 0:00:05.12
+    return parseTime(timeStr);
+}
+
+export function parseOverrides(text) {
+    // Line-level tags, wherever they appear in the line. As in libass, the first \pos/\move,
+    // \org, \fad and \an/\a win; for rotation, shearing, \clip and \q the last one does.
+    const overrides = {};
+
+    for (const tag of getOverrideTags(text)) {
+        const args = Array.isArray(tag.args) ? tag.args.map(a => parseFloat(a)) : [];
+
+        switch (tag.name) {
+            case 'pos':
+                if (!overrides.pos && !overrides.move && args.length >= 2) {
+                    overrides.pos = { x: args[0], y: args[1] };
+                }
+                break;
+            case 'an': {
+                const an = parseInt(tag.args);
+                if (!overrides.alignment && an >= 1 && an <= 9) overrides.alignment = an;
+                break;
+            }
+            case 'a': {
+                // Legacy SSA numbering, stored as numpad; whichever of \a and \an comes first wins
+                const an = ssaToASSAlignment(parseInt(tag.args));
+                if (!overrides.alignment && an) overrides.alignment = an;
+                break;
+            }
+            case 'fad':
+                if (!overrides.fade && args.length >= 2) {
+                    overrides.fade = { t1: args[0], t2: args[1] };
+                }
+                break;
+            case 'move':
+                // \move(x1, y1, x2, y2, [t1, t2])
+                if (!overrides.pos && !overrides.move && args.length >= 4) {
+                    overrides.move = {
+                        x1: args[0],
+                        y1: args[1],
+                        x2: args[2],
+                        y2: args[3],
+                        t1: args.length >= 6 ? args[4] : undefined,
+                        t2: args.length >= 6 ? args[5] : undefined
+                    };
+                }
+                break;
+            case 'frx':
+            case 'fry':
+            case 'frz':
+            case 'fr': {
+                // Rotation is applied to the whole line box; \fr is an alias of \frz.
+                // Only the axes the line sets; the renderer fills in the rest (\frz defaults to the style's Angle)
+                const value = parseFloat(tag.args);
+                if (isNaN(value)) break;
+                if (!overrides.rotation) overrides.rotation = {};
+                overrides.rotation[tag.name === 'fr' ? 'z' : tag.name[2]] = value;
+                break;
+            }
+            case 'q': {
+                // Wrapping state rather than a placement, so the last \q of the line wins
+                const wrapStyle = parseInt(tag.args);
+                if (wrapStyle >= 0 && wrapStyle <= 3) overrides.wrapStyle = wrapStyle;
+                break;
+            }
+            case 'org':
+                // Rotation origin, in script coordinates like \pos
+                if (!overrides.org && args.length >= 2 && !isNaN(args[0]) && !isNaN(args[1])) {
+                    overrides.org = { x: args[0], y: args[1] };
+                }
+                break;
+            case 'fax':
+            case 'fay': {
+                // Shearing, applied with the rotation to the whole line box
+                const value = parseFloat(tag.args);
+                if (isNaN(value)) break;
+                if (!overrides.shear) overrides.shear = {};
+                overrides.shear[tag.name[2]] = value;
+                break;
+            }
+            case 'clip':
+            case 'iclip': {
+                // As in libass, a later \clip or \iclip replaces an earlier one
+                const clip = parseClipArgs(tag.args, tag.name === 'iclip');
+                if (clip) overrides.clip = clip;
+                break;
+            }
+            case 't': {
+                // Rotation, shearing and clip belong to the line box, so their \t targets are kept here rather than per run
+                const transform = parseTransformArgs(tag.args);
+                if (!transform) break;
+                const rotation = {};
+                const shear = {};
+                let clipRect = null;
+                for (const inner of parseOverrideBlock(transform.tags)) {
+                    if (inner.name === 'clip' || inner.name === 'iclip') {
+                        // Only the rectangle form can be animated
+                        const clip = parseClipArgs(inner.args, inner.name === 'iclip');
+                        if (clip && clip.rect) clipRect = clip.rect;
+                        continue;
+                    }
+                    const value = parseFloat(inner.args);
+                    if (isNaN(value)) continue;
+                    if (['frx', 'fry', 'frz', 'fr'].includes(inner.name)) rotation[inner.name === 'fr' ? 'z' : inner.name[2]] = value;
+                    if (inner.name === 'fax' || inner.name === 'fay') shear[inner.name[2]] = value;
+                }
+                if (Object.keys(rotation).length > 0) {
+                    if (!overrides.rotationTransforms) overrides.rotationTransforms = [];
+                    overrides.rotationTransforms.push({ ...transform, tags: rotation });
+                }
+                if (Object.keys(shear).length > 0) {
+                    if (!overrides.shearTransforms) overrides.shearTransforms = [];
+                    overrides.shearTransforms.push({ ...transform, tags: shear });
+                }
+                if (clipRect) {
+                    if (!overrides.clipTransforms) overrides.clipTransforms = [];
+                    overrides.clipTransforms.push({ ...transform, tags: clipRect });
+                }
+                break;
+            }
+        }
+    }
+
+    return overrides;
+}
+
+export function parseClipArgs(args, inverse) {
+    // \clip(x1,y1,x2,y2), \clip(drawing) or \clip(scale,drawing); \iclip is the same, inverted
+    if (!Array.isArray(args)) return null;
+    if (args.length === 4) {
+        const [x1, y1, x2, y2] = args.map(a => parseFloat(a));
+        if ([x1, y1, x2, y2].some(isNaN)) return null;
+        return { inverse, rect: { x1, y1, x2, y2 } };
+    }
+    if (args.length === 1 || args.length === 2) {
+        const drawing = args[args.length - 1];
+        const scale = args.length === 2 ? parseInt(args[0]) || 1 : 1;
+        if (!/[mnlbspc]/i.test(drawing)) return null;
+        return { inverse, drawing, scale };
+    }
+    return null;
+}
+
+export function getOverrideTags(text) {
+    // All tags from every {...} block of a line, in order
+    const tags = [];
+    const blockRegex = /{([^}]*)}/g;
+    let match;
+    while ((match = blockRegex.exec(text)) !== null) {
+        tags.push(...parseOverrideBlock(match[1]));
+    }
+    return tags;
+}
+
+export function parseOverrideBlock(block) {
+    // Split the contents of one {...} block into { name, args } tags.
+    // Parenthesised arguments become an array (nested parens kept intact, e.g. \t(\clip(...))),
+    // anything else is the raw string up to the next backslash.
+    const tags = [];
+    let i = 0;
+
+    while (i < block.length) {
+        const slash = block.indexOf('\\', i);
+        if (slash === -1) break;
+        i = slash + 1;
+
+        const name = ASS_TAG_NAMES.find(n => block.startsWith(n, i));
+        if (!name) continue; // Unknown tag, skip to the next backslash
+
+        i += name.length;
+        let j = i;
+        while (block[j] === ' ') j++;
+
+        if (block[j] === '(') {
+            const args = [];
+            let depth = 0;
+            let current = '';
+            j++;
+            for (; j < block.length; j++) {
+                const ch = block[j];
+                if (ch === '(') depth++;
+                if (ch === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                if (ch === ',' && depth === 0) {
+                    args.push(current.trim());
+                    current = '';
+                } else {
+                    current += ch;
+                }
+            }
+            args.push(current.trim());
+            tags.push({ name, args });
+            i = j + 1;
+        } else {
+            const next = block.indexOf('\\', i);
+            const end = next === -1 ? block.length : next;
+            tags.push({ name, args: block.substring(i, end).trim() });
+            i = end;
+        }
+    }
+
+    return tags;
+}
+
+export function parseASSRuns(rawText, styles = {}, wrapStyle = 0) {
+    // Split dialogue text into runs of identically styled text.
+    // Each run holds the style it resets to (\r) plus the tags set since then;
+    // `styles` (by name) decides whether \rName refers to a real style.
+    // wrapStyle is the line's WrapStyle/\q, which decides what \n means.
+    const runs = [];
+    let styleName = null; // null = the line's own style
+    let tags = {};
+    let transforms = []; // \t blocks in effect: { t1, t2, accel, tags }
+    let karaoke = null; // Current syllable: { type, start, duration } in ms from line start
+    let karaokeOffset = 0;
+    let drawingScale = 0; // \pN, 0 = text mode
+    let baselineOffset = 0; // \pbo
+    let i = 0;
+
+    while (i < rawText.length) {
+        const open = rawText.indexOf('{', i);
+        const close = open === -1 ? -1 : rawText.indexOf('}', open);
+        const textEnd = close === -1 ? rawText.length : open;
+
+        if (textEnd > i) {
+            const segment = rawText.substring(i, textEnd);
+            const run = { text: '', styleName, tags: { ...tags }, transforms: transforms.slice(), karaoke };
+            if (drawingScale > 0) {
+                // In drawing mode the "text" is a vector shape
+                run.drawing = { commands: segment, scale: drawingScale, baselineOffset };
+            } else {
+                run.text = unescapeASSText(segment, wrapStyle);
+            }
+            runs.push(run);
+        }
+        if (close === -1) break;
+
+        for (const tag of parseOverrideBlock(rawText.substring(open + 1, close))) {
+            if (tag.name === 'r') {
+                // \r resets to the line style, \rName to a named style if it exists
+                styleName = tag.args && styles[tag.args] ? tag.args : null;
+                tags = {};
+                transforms = [];
+            } else if (tag.name === 't') {
+                const transform = parseTransformArgs(tag.args);
+                if (!transform) continue;
+                // Targets are collected the same way as static tags; only numeric and colour values animate
+                const targets = {};
+                for (const inner of parseOverrideBlock(transform.tags)) applyStyleTag(targets, inner);
+                if (Object.keys(targets).length > 0) transforms.push({ ...transform, tags: targets });
+            } else if (tag.name === 'p') {
+                drawingScale = Math.max(0, parseInt(tag.args) || 0);
+            } else if (tag.name === 'pbo') {
+                baselineOffset = parseFloat(tag.args) || 0;
+            } else if (['k', 'K', 'kf', 'ko'].includes(tag.name)) {
+                // Each karaoke tag starts a syllable; durations are in centiseconds
+                const duration = Math.max(0, parseFloat(tag.args) || 0) * 10;
+                karaoke = { type: tag.name === 'K' ? 'kf' : tag.name, start: karaokeOffset, duration };
+                karaokeOffset += duration;
+            } else {
+                applyStyleTag(tags, tag);
+            }
+        }
+        i = close + 1;
+    }
+
+    return runs;
+}
+
+export function unescapeASSText(text, wrapStyle = 0) {
+    // \N hard break, \n soft break (a space outside WrapStyle 2), \h non-breaking space
+    return text.replace(/\\N/g, '\n').replace(/\\n/g, wrapStyle === 2 ? '\n' : ' ').replace(/\\h/g, '\u00A0');
+}
+
+export function applyStyleTag(tags, tag) {
+    // Applies one per-run tag to a run's override set. A tag without a value
+    // removes the override so the run falls back to its style.
+    const value = typeof tag.args === 'string' ? tag.args : '';
+    const num = parseFloat(value);
+    const colorKeys = { c: 'primary', '1c': 'primary', '2c': 'secondary', '3c': 'outline', '4c': 'back' };
+    const alphaKeys = { '1a': 'primary', '2a': 'secondary', '3a': 'outline', '4a': 'back' };
+
+    const set = (key, val, valid) => {
+        if (valid) tags[key] = val;
+        else delete tags[key];
+    };
+
+    if (colorKeys[tag.name]) {
+        const color = parseASSColor(value);
+        set(`${colorKeys[tag.name]}Color`, color && { r: color.r, g: color.g, b: color.b }, !!color);
+        return;
+    }
+    if (alphaKeys[tag.name]) {
+        const alpha = parseASSAlpha(value);
+        set(`${alphaKeys[tag.name]}Alpha`, alpha, alpha !== null);
+        return;
+    }
+
+    switch (tag.name) {
+        case 'alpha': {
+            const alpha = parseASSAlpha(value);
+            for (const key of ['primary', 'secondary', 'outline', 'back']) {
+                set(`${key}Alpha`, alpha, alpha !== null);
+            }
+            break;
+        }
+        case 'fn':
+            set('fontName', value, value !== '');
+            break;
+        case 'fs':
+            set('fontSize', num, num > 0);
+            break;
+        case 'b':
+            // \b1 / \b0, or a font weight (\b100 - \b900)
+            set('bold', num >= 100 ? Math.round(num) : num ? 1 : 0, !isNaN(num));
+            break;
+        case 'i':
+            set('italic', num === 1, !isNaN(num));
+            break;
+        case 'u':
+            set('underline', num === 1, !isNaN(num));
+            break;
+        case 's':
+            set('strikeout', num === 1, !isNaN(num));
+            break;
+        case 'bord':
+            set('borderX', num, num >= 0);
+            set('borderY', num, num >= 0);
+            break;
+        case 'xbord':
+        case 'ybord':
+            set(`border${tag.name[0].toUpperCase()}`, num, num >= 0);
+            break;
+        case 'shad':
+            set('shadowX', num, num >= 0);
+            set('shadowY', num, num >= 0);
+            break;
+        case 'xshad':
+        case 'yshad':
+            // Unlike \shad these may be negative (shadow up/left)
+            set(`shadow${tag.name[0].toUpperCase()}`, num, !isNaN(num));
+            break;
+        case 'blur':
+            set('blur', num, num >= 0);
+            break;
+        case 'be':
+            set('be', num, num >= 0);
+            break;
+        case 'fscx':
+            set('fontScaleX', num, num >= 0);
+            break;
+        case 'fscy':
+            set('fontScaleY', num, num >= 0);
+            break;
+        case 'fsp':
+            set('spacing', num, !isNaN(num));
+            break;
+    }
+}
+
+export function parseTransformArgs(args) {
+    // \t(tags), \t(accel,tags), \t(t1,t2,tags), \t(t1,t2,accel,tags)
+    if (!Array.isArray(args) || args.length === 0) return null;
+    const n = args.length;
+    const transform = { t1: undefined, t2: undefined, accel: 1, tags: args[n - 1] };
+    if (n === 2) {
+        transform.accel = parseFloat(args[0]);
+    } else if (n >= 3) {
+        transform.t1 = parseFloat(args[0]);
+        transform.t2 = parseFloat(args[1]);
+        if (n >= 4) transform.accel = parseFloat(args[2]);
+    }
+    if (!(transform.accel > 0)) transform.accel = 1;
+    if (isNaN(transform.t1)) transform.t1 = undefined;
+    if (isNaN(transform.t2)) transform.t2 = undefined;
+    return transform;
+}
+
+export function parseASSDrawing(commands) {
+    // ASS drawing commands -> [{ type: 'M' | 'L' | 'C', points: [[x, y], ...] }] in drawing units.
+    // m/n move, l line, b cubic bezier, s/p/c cubic B-spline (converted to beziers).
+    const tokens = String(commands).match(/[mnlbspc]|-?\d*\.?\d+(?:e[-+]?\d+)?/gi) || [];
+    const segments = [];
+    let command = null;
+    let numbers = [];
+    let pen = [0, 0];
+    let spline = null; // Control points of the B-spline being built
+
+    const flushSpline = (close) => {
+        if (!spline || spline.length < 3) {
+            spline = null;
+            return;
+        }
+        const ctrl = close ? [...spline, spline[0], spline[1], spline[2]] : spline;
+        for (let i = 0; i + 3 < ctrl.length; i++) {
+            const [p0, p1, p2, p3] = [ctrl[i], ctrl[i + 1], ctrl[i + 2], ctrl[i + 3]];
+            const start = [(p0[0] + 4 * p1[0] + p2[0]) / 6, (p0[1] + 4 * p1[1] + p2[1]) / 6];
+            if (i === 0) segments.push({ type: 'L', points: [start] });
+            segments.push({
+                type: 'C',
+                points: [
+                    [(4 * p1[0] + 2 * p2[0]) / 6, (4 * p1[1] + 2 * p2[1]) / 6],
+                    [(2 * p1[0] + 4 * p2[0]) / 6, (2 * p1[1] + 4 * p2[1]) / 6],
+                    [(p1[0] + 4 * p2[0] + p3[0]) / 6, (p1[1] + 4 * p2[1] + p3[1]) / 6]
+                ]
+            });
+        }
+        pen = segments[segments.length - 1].points.slice(-1)[0];
+        spline = null;
+    };
+
+    const consume = () => {
+        while (numbers.length >= 2) {
+            if (command === 'm' || command === 'n') {
+                flushSpline(false);
+                pen = [numbers.shift(), numbers.shift()];
+                segments.push({ type: 'M', points: [pen] });
+                command = 'l'; // Extra coordinate pairs after m continue as lines
+            } else if (command === 'l') {
+                flushSpline(false);
+                pen = [numbers.shift(), numbers.shift()];
+                segments.push({ type: 'L', points: [pen] });
+            } else if (command === 'b') {
+                if (numbers.length < 6) return;
+                flushSpline(false);
+                const points = [];
+                for (let i = 0; i < 3; i++) points.push([numbers.shift(), numbers.shift()]);
+                segments.push({ type: 'C', points });
+                pen = points[2];
+            } else if (command === 's' || command === 'p') {
+                if (!spline) spline = [pen];
+                spline.push([numbers.shift(), numbers.shift()]);
+            } else {
+                numbers = [];
+            }
+        }
+    };
+
+    for (const token of tokens) {
+        if (/^[mnlbspc]$/i.test(token)) {
+            consume();
+            numbers = [];
+            command = token.toLowerCase();
+            if (command === 'c') {
+                flushSpline(true);
+                command = null;
+            }
+        } else {
+            numbers.push(parseFloat(token));
+        }
+    }
+    consume();
+    flushSpline(false);
+
+    return segments;
+}
+
+export function parseASSColor(value) {
+    // &HAABBGGRR / &HBBGGRR& / decimal -> { r, g, b, a } with ASS alpha (0 = opaque)
+    if (!value) return null;
+    const str = String(value).trim();
+    let num;
+    if (/^&?H/i.test(str)) {
+        const hex = str.replace(/^&?H/i, '').replace(/&$/, '');
+        if (!/^[0-9a-f]+$/i.test(hex)) return null;
+        num = parseInt(hex, 16);
+    } else if (/^-?\d+$/.test(str)) {
+        num = parseInt(str, 10) >>> 0;
+    } else {
+        return null;
+    }
+    return {
+        r: num & 0xFF,
+        g: (num >>> 8) & 0xFF,
+        b: (num >>> 16) & 0xFF,
+        a: (num >>> 24) & 0xFF
+    };
+}
+
+export function parseASSAlpha(value) {
+    // &H80& -> 128
+    const hex = String(value || '').trim().replace(/^&?H/i, '').replace(/&$/, '');
+    if (!/^[0-9a-f]+$/i.test(hex)) return null;
+    return parseInt(hex, 16) & 0xFF;
+}
+
+export function parseCueMarkup(html) {
+    // Cue HTML as stored on VTT/SRT cues -> runs of { text, bold, italic, underline, strikeout, color },
+    // plus { timestamp } markers for VTT inline timestamps. Needs no DOM; other tags only scope their content.
+    const runs = [];
+    const stack = [{ name: '', format: {} }];
+    const pattern = /<([^>]*)>|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        const format = stack[stack.length - 1].format;
+        if (match[2] !== undefined) {
+            runs.push({ ...format, text: decodeEntities(match[2]) });
+            continue;
+        }
+
+        const tag = match[1].trim();
+        if (/^\d/.test(tag)) {
+            const time = parseTime(tag);
+            if (!isNaN(time)) runs.push({ text: '', timestamp: time });
+            continue;
+        }
+        if (tag.startsWith('/')) {
+            const name = tag.substring(1).trim().toLowerCase();
+            const idx = stack.map(entry => entry.name).lastIndexOf(name);
+            if (idx > 0) stack.length = idx;
+            continue;
+        }
+
+        const name = tag.split(/[\s.]/)[0].replace(/\/$/, '').toLowerCase();
+        if (name === 'br') {
+            runs.push({ ...format, text: '\n' });
+            continue;
+        }
+
+        const next = { ...format };
+        if (name === 'b' || name === 'strong') next.bold = true;
+        if (name === 'i' || name === 'em') next.italic = true;
+        if (name === 'u') next.underline = true;
+        if (name === 's') next.strikeout = true;
+        if (name === 'font' || name === 'span') {
+            // <font color> from SRT, stored as <span style="color: ..."> by srtTagsToHtml
+            const color = tag.match(/color\s*[=:]\s*["']?(#?[0-9a-z]+)/i);
+            if (color) next.color = color[1];
+        }
+        if (!tag.endsWith('/')) stack.push({ name, format: next });
+    }
+    return runs;
+}
+
+export function escapeMarkup(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00A0', lrm: '\u200E', rlm: '\u200F' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.substring(2), 16) : parseInt(body.substring(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+        }
+        return named[body.toLowerCase()] !== undefined ? named[body.toLowerCase()] : entity;
+    });
+}
+
+export function decodeUUFont(data) {
+    // ASS [Fonts] encoding: each char is 6 bits (code - 33), 4 chars -> 3 bytes,
+    // a trailing group of 2 or 3 chars holds 1 or 2 bytes.
+    const out = new Uint8Array(Math.floor(data.length * 3 / 4));
+    let length = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const group = data.substring(i, i + 4);
+        const v = [0, 0, 0, 0];
+        for (let j = 0; j < group.length; j++) v[j] = (group.charCodeAt(j) - 33) & 0x3F;
+        const bits = (v[0] << 18) | (v[1] << 12) | (v[2] << 6) | v[3];
+        const bytes = group.length === 4 ? 3 : group.length - 1;
+        for (let j = 0; j < bytes; j++) out[length++] = (bits >> (16 - j * 8)) & 0xFF;
+    }
+    return out.subarray(0, length);
+}
+
+export function srtTagsToHtml(line) {
+    // Keep the formatting SRT defines (<i>, <b>, <u>, <font color>), drop other tags, escape stray markup
+    // A tag can't contain '<', so text like "<3</i>" keeps its "<3"
+    return line.split(/(<[^<>]*>)/).map(part => {
+        const tag = part.match(/^<\s*(\/?)\s*([a-z]+)([^>]*)>$/i);
+        if (!tag) return part.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        const closing = tag[1] === '/';
+        const name = tag[2].toLowerCase();
+        if (['i', 'b', 'u', 's'].includes(name)) return closing ? `</${name}>` : `<${name}>`;
+        if (name === 'font') {
+            if (closing) return '</span>';
+            const colorMatch = tag[3].match(/color\s*=\s*["']?(#?[0-9a-z]+)["']?/i);
+            let color = colorMatch ? colorMatch[1] : '';
+            if (/^[0-9a-f]{6}$/i.test(color)) color = '#' + color;
+            return /^#?[0-9a-z]+$/i.test(color) ? `<span style="color: ${color}">` : '<span>';
+        }
+        return '';
+    }).join('');
+}
+
+export function srtAlignmentToVTTSettings(alignment) {
+    // Numpad alignment -> WebVTT cue settings, so SRT shares the VTT layout path
+    const settings = {};
+    if ([7, 8, 9].includes(alignment)) {
+        settings.line = 0;
+        settings.snapToLines = true;
+    } else if ([4, 5, 6].includes(alignment)) {
+        settings.line = 50;
+        settings.snapToLines = false;
+        settings.lineAlign = 'center';
+    }
+    if ([1, 4, 7].includes(alignment)) settings.align = 'left';
+    else if ([3, 6, 9].includes(alignment)) settings.align = 'right';
+    return settings;
+}
+
+export function parseVTTCueSettings(tokens) {
+    // Cue settings: vertical, line, position, size, align, region
+    // Invalid values are ignored per the WebVTT parser rules.
+    const settings = {};
+
+    for (const token of tokens) {
+        const sep = token.indexOf(':');
+        if (sep <= 0) continue;
+        const key = token.substring(0, sep);
+        const value = token.substring(sep + 1);
+
+        switch (key) {
+            case 'vertical':
+                if (value === 'rl' || value === 'lr') settings.vertical = value;
+                break;
+            case 'line': {
+                const [linePos, lineAlign] = value.split(',');
+                const pct = parseVTTPercentage(linePos);
+                if (pct !== null) {
+                    settings.line = pct;
+                    settings.snapToLines = false;
+                } else if (/^-?\d+(\.\d+)?$/.test(linePos)) {
+                    settings.line = parseFloat(linePos);
+                    settings.snapToLines = true;
+                } else {
+                    break;
+                }
+                if (['start', 'center', 'end'].includes(lineAlign)) settings.lineAlign = lineAlign;
+                break;
+            }
+            case 'position': {
+                const [colPos, colAlign] = value.split(',');
+                const pct = parseVTTPercentage(colPos);
+                if (pct === null) break;
+                settings.position = pct;
+                if (['line-left', 'center', 'line-right'].includes(colAlign)) settings.positionAlign = colAlign;
+                break;
+            }
+            case 'size': {
+                const pct = parseVTTPercentage(value);
+                if (pct !== null) settings.size = pct;
+                break;
+            }
+            case 'align':
+                if (['start', 'center', 'end', 'left', 'right'].includes(value)) settings.align = value;
+                break;
+            case 'region':
+                settings.region = value;
+                break;
+        }
+    }
+
+    return settings;
+}
+
+export function parseVTTRegion(settingsStr) {
+    // REGION id:fred width:40% lines:3 regionanchor:0%,100% viewportanchor:10%,90% scroll:up
+    const region = {
+        id: '',
+        width: 100,
+        lines: 3,
+        regionAnchor: { x: 0, y: 100 },
+        viewportAnchor: { x: 0, y: 100 },
+        scroll: ''
+    };
+
+    for (const token of settingsStr.split(/\s+/)) {
+        const sep = token.indexOf(':');
+        if (sep <= 0) continue;
+        const key = token.substring(0, sep);
+        const value = token.substring(sep + 1);
+
+        switch (key) {
+            case 'id':
+                if (!value.includes('-->')) region.id = value;
+                break;
+            case 'width': {
+                const pct = parseVTTPercentage(value);
+                if (pct !== null) region.width = pct;
+                break;
+            }
+            case 'lines':
+                if (/^\d+$/.test(value)) region.lines = parseInt(value);
+                break;
+            case 'regionanchor':
+            case 'viewportanchor': {
+                const [ax, ay] = value.split(',').map(v => parseVTTPercentage(v || ''));
+                if (ax === null || ay === null) break;
+                region[key === 'regionanchor' ? 'regionAnchor' : 'viewportAnchor'] = { x: ax, y: ay };
+                break;
+            }
+            case 'scroll':
+                if (value === 'up') region.scroll = 'up';
+                break;
+        }
+    }
+
+    return region.id ? region : null; // A region without an id is ignored
+}
+
+export function parseVTTPercentage(value) {
+    if (!/^\d+(\.\d+)?%$/.test(value)) return null;
+    const pct = parseFloat(value);
+    return pct >= 0 && pct <= 100 ? pct : null;
+}
+
+export function detectFormat(url, text) {
+    // url: file URL or name ('' when unknown)
+    // Extension first (ignoring query/hash), then content sniffing
+    const path = String(url || '').split(/[?#]/)[0].toLowerCase();
+    const ext = path.substring(path.lastIndexOf('.') + 1);
+    if (ext === 'vtt' || ext === 'srt') return ext;
+    if (ext === 'ass' || ext === 'ssa') return 'ass';
+
+    const head = (text || '').replace(/^\uFEFF/, '').trimStart();
+    if (head.startsWith('WEBVTT')) return 'vtt';
+    if (/^\[Script Info\]/im.test(head) || /^\[Events\]/im.test(head)) return 'ass';
+    if (/^\d+\s*\r?\n\s*\d+:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head)) return 'srt';
+    if (/^\d+:\d{2}:\d{2},\d{1,3}\s*-->/m.test(head)) return 'srt';
+
+    return 'vtt';
+}
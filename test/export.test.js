@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SubtitleRenderer from '../index.js';
+import * as parser from '../parser.js';
+
+// Export only needs a loaded track, so plain objects stand in for the video and overlay
+function createRenderer() {
+    const element = () => ({ style: {}, addEventListener() {}, removeEventListener() {} });
+    return new SubtitleRenderer(element(), element());
+}
+
+test('SRT export writes & and < as text and parses back unchanged', async () => {
+    const renderer = createRenderer();
+    await renderer.loadFromText([
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:03.00,Default,,0,0,0,,Tom & Jerry {\\i1}<3{\\i0}',
+        ''
+    ].join('\n'), 'ass');
+
+    const srt = renderer.exportTrack('srt');
+    assert.match(srt, /Tom & Jerry <i><3<\/i>/);
+
+    const { cues } = parser.parseSRT(srt);
+    assert.equal(cues.length, 1);
+    const text = parser.parseCueMarkup(cues[0].text).map(run => run.text).join('');
+    assert.equal(text, 'Tom & Jerry <3');
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as parser from '../parser.js';
+
+const EVENT_FORMAT = 'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text';
+
+function diagnostic(doc, code) {
+    const found = doc.diagnostics.filter(d => d.code === code);
+    assert.equal(found.length, 1, `expected one ${code}, got ${JSON.stringify(doc.diagnostics)}`);
+    return found[0];
+}
+
+test('ASS diagnostics point at the line and column of the problem', () => {
+    const unknownStyle = 'Dialogue: 0,0:00:01.00,0:00:02.00,Nope,,0,0,0,,Hi';
+    const unclosed = 'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\b1 open';
+    const malformed = 'Dialogue: 0,0:00:0x.00,0:00:06.00,Default,,0,0,0,,Bad';
+    const doc = parser.parseASS([
+        '[Script Info]',
+        'PlayResX: 1280',
+        '',
+        '[V4+ Styles]',
+        'Style: Default,Arial,40,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1',
+        '',
+        '[Events]',
+        EVENT_FORMAT,
+        unknownStyle,
+        unclosed,
+        malformed
+    ].join('\n'));
+
+    assert.deepEqual(doc.diagnostics.map(d => d.code), ['missing-format', 'unknown-style', 'unclosed-override', 'malformed-timestamp']);
+    assert.deepEqual(diagnostic(doc, 'missing-format'), {
+        severity: 'warning',
+        code: 'missing-format',
+        message: '[V4+ Styles] has no Format: line, assuming the standard columns',
+        line: 5,
+        column: 1
+    });
+    assert.equal(doc.styles.Default.Fontsize, '40');
+
+    const style = diagnostic(doc, 'unknown-style');
+    assert.equal(style.line, 9);
+    assert.equal(style.column, unknownStyle.indexOf('Nope') + 1);
+
+    const override = diagnostic(doc, 'unclosed-override');
+    assert.equal(override.line, 10);
+    assert.equal(override.column, unclosed.indexOf('{') + 1);
+
+    const timestamp = diagnostic(doc, 'malformed-timestamp');
+    assert.equal(timestamp.severity, 'error');
+    assert.equal(timestamp.line, 11);
+    assert.equal(timestamp.column, malformed.indexOf('0:00:0x') + 1);
+    assert.equal(doc.cues.length, 2);
+});
+
+test('[Events] without a Format: line falls back to the standard columns', () => {
+    const doc = parser.parseASS('[Events]\nDialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Hi');
+    const missing = diagnostic(doc, 'missing-format');
+    assert.equal(missing.line, 2);
+    assert.equal(doc.cues[0].text, 'Hi');
+});
+
+test('VTT repeats of the previous cue are dropped with duplicate-cue', () => {
+    const doc = parser.parseVTT([
+        'WEBVTT',
+        '',
+        '00:00:01.000 --> 00:00:02.000',
+        'Hello',
+        '',
+        '00:00:01.000 --> 00:00:02.000',
+        'Hello'
+    ].join('\n'));
+
+    assert.equal(doc.cues.length, 1);
+    const duplicate = diagnostic(doc, 'duplicate-cue');
+    assert.equal(duplicate.severity, 'warning');
+    assert.equal(duplicate.line, 6);
+    assert.equal(duplicate.column, 1);
+});
+
+test('SRT malformed timestamps skip the cue and point at the bad time', () => {
+    const timing = '00:00:01,000 --> 00:00:xx,000';
+    const doc = parser.parseSRT(`1\n${timing}\nText\n\n2\n00:00:03,000 --> 00:00:04,000\nKept\n`);
+
+    assert.deepEqual(doc.cues.map(cue => cue.text), ['Kept']);
+    const malformed = diagnostic(doc, 'malformed-timestamp');
+    assert.equal(malformed.line, 2);
+    assert.equal(malformed.column, timing.indexOf('00:00:xx') + 1);
+});
+
+test('VTT cue text is parsed into a node tree', () => {
+    const doc = parser.parseVTT('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n<v Bob><b.loud>Hi</b> &amp; <00:00:02.000>bye<x>!</x>\n<ruby>漢<rt>kan</rt></ruby>');
+
+    assert.deepEqual(doc.cues[0].nodes, [
+        {
+            type: 'element', name: 'v', classes: [], annotation: 'Bob', children: [
+                { type: 'element', name: 'b', classes: ['loud'], annotation: '', children: [{ type: 'text', text: 'Hi' }] },
+                { type: 'text', text: ' & ' },
+                { type: 'timestamp', time: 2 },
+                { type: 'text', text: 'bye' },
+                { type: 'text', text: '!' },
+                { type: 'text', text: '\n' },
+                {
+                    type: 'element', name: 'ruby', classes: [], annotation: '', children: [
+                        { type: 'text', text: '漢' },
+                        { type: 'element', name: 'rt', classes: [], annotation: '', children: [{ type: 'text', text: 'kan' }] }
+                    ]
+                }
+            ]
+        }
+    ]);
+    assert.deepEqual(doc.cues[0].voices, ['Bob']);
+});
+
+test('SRT {\\anN} hints map to an alignment and VTT cue settings', () => {
+    const doc = parser.parseSRT([
+        '1', '00:00:01,000 --> 00:00:02,000', '{\\an8}Top',
+        '',
+        '2', '00:00:01,000 --> 00:00:02,000', '{\\an4}Middle left',
+        '',
+        '3', '00:00:01,000 --> 00:00:02,000', '{\\an3}Bottom right',
+        '',
+        '4', '00:00:01,000 --> 00:00:02,000', 'Default'
+    ].join('\n'));
+
+    assert.deepEqual(doc.cues.map(cue => cue.alignment), [8, 4, 3, 2]);
+    assert.deepEqual(doc.cues.map(cue => cue.settings), [
+        { line: 0, snapToLines: true },
+        { line: 50, snapToLines: false, lineAlign: 'center', align: 'left' },
+        { align: 'right' },
+        {}
+    ]);
+    assert.equal(doc.cues[0].text, 'Top');
+    assert.equal(doc.cues[0].rawText, '{\\an8}Top');
+});
+
+test('missing PlayRes is derived like libass', () => {
+    const params = info => parser.parseASS(`[Script Info]\n${info}\n`).assParams;
+
+    assert.deepEqual([params('').playResX, params('').playResY], [384, 288]);
+    assert.deepEqual([params('PlayResX: 1280').playResX, params('PlayResX: 1280').playResY], [1280, 1024]);
+    assert.deepEqual([params('PlayResX: 640').playResX, params('PlayResX: 640').playResY], [640, 480]);
+    assert.deepEqual([params('PlayResY: 720').playResX, params('PlayResY: 720').playResY], [960, 720]);
+    assert.deepEqual([params('PlayResY: 1024').playResX, params('PlayResY: 1024').playResY], [1280, 1024]);
+
+    // LayoutRes only counts with both axes
+    assert.equal(params('PlayResX: 1920\nPlayResY: 1080\nLayoutResX: 640').layoutResX, 0);
+    const layout = params('PlayResX: 1920\nPlayResY: 1080\nLayoutResX: 640\nLayoutResY: 360');
+    assert.deepEqual([layout.layoutResX, layout.layoutResY], [640, 360]);
+});
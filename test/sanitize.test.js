@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import SubtitleRenderer from '../index.js';
+import * as parser from '../parser.js';
+
+// Just enough of a DOM to build cue text with. Assigning HTML throws, so markup can only
+// come out as the elements the renderer creates itself.
+function createElement(tagName) {
+    return {
+        nodeType: 1,
+        tagName: tagName.toUpperCase(),
+        childNodes: [],
+        style: {},
+        dataset: {},
+        attributes: {},
+        classList: { values: [], add(...names) { this.values.push(...names); } },
+        appendChild(child) {
+            this.childNodes.push(child);
+            return child;
+        },
+        setAttribute(name, value) {
+            this.attributes[name] = String(value);
+        },
+        set textContent(text) {
+            this.childNodes = [{ nodeType: 3, data: String(text) }];
+        },
+        set innerHTML(html) {
+            throw new Error(`innerHTML assigned: ${html}`);
+        },
+        set outerHTML(html) {
+            throw new Error(`outerHTML assigned: ${html}`);
+        }
+    };
+}
+
+before(() => {
+    globalThis.document = {
+        createElement,
+        createElementNS: (ns, tagName) => createElement(tagName),
+        createTextNode: data => ({ nodeType: 3, data: String(data) })
+    };
+});
+
+after(() => {
+    delete globalThis.document;
+});
+
+function createRenderer() {
+    const element = () => ({ style: {}, addEventListener() {}, removeEventListener() {} });
+    return new SubtitleRenderer(element(), element());
+}
+
+function describeTree(node, elements = [], text = []) {
+    for (const child of node.childNodes) {
+        if (child.nodeType === 3) {
+            text.push(child.data);
+            continue;
+        }
+        elements.push(child);
+        describeTree(child, elements, text);
+    }
+    return { elements, text: text.join('') };
+}
+
+function assertNoHandlers(elements) {
+    for (const element of elements) {
+        const names = [...Object.keys(element), ...Object.keys(element.attributes), ...Object.keys(element.dataset)];
+        assert.deepEqual(names.filter(name => /^on/i.test(name)), [], `${element.tagName} carries an event handler`);
+        assert.equal(element.attributes.src, undefined);
+    }
+}
+
+const PAYLOAD = '<img src=x onerror=alert(1)>Hi <script>alert(2)</script><b>bold</b>';
+
+test('SRT cue text builds only the allow-listed elements', () => {
+    const doc = parser.parseSRT(`1\n00:00:01,000 --> 00:00:02,000\n${PAYLOAD} <font color="red" onmouseover="alert(3)">red</font>\n<svg onload=alert(4)><i>x</i></svg>\n`);
+    const div = createElement('div');
+    createRenderer().buildTextCue(div, doc.cues[0]);
+
+    const { elements, text } = describeTree(div);
+    assert.deepEqual(elements.map(element => element.tagName), ['B', 'SPAN', 'BR', 'I']);
+    assert.equal(elements[1].style.color, 'red');
+    assert.equal(text, 'Hi alert(2)bold redx');
+    assertNoHandlers(elements);
+});
+
+test('VTT cue text builds only the allow-listed elements', () => {
+    const doc = parser.parseVTT(`WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n${PAYLOAD} <c.note onclick=alert(3)>c</c> <iframe src=x></iframe><v Eve onmouseover=alert(4)>v</v>\n`);
+    const div = createElement('div');
+    createRenderer().buildTextCue(div, doc.cues[0]);
+
+    const { elements, text } = describeTree(div);
+    assert.deepEqual(elements.map(element => element.tagName), ['B', 'SPAN', 'SPAN']);
+    assert.deepEqual(elements.map(element => element.dataset.vttTag), ['b', 'c', 'v']);
+    assert.deepEqual(elements[1].classList.values, ['note']);
+    assert.equal(elements[2].dataset.voice, 'Eve onmouseover=alert(4)'); // Kept as text in a data attribute
+    assert.equal(text, 'Hi alert(2)bold c v');
+    assertNoHandlers(elements);
+});
+
+test('ASS cue text comes out escaped', () => {
+    const doc = parser.parseASS([
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        `Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,${PAYLOAD}{\\i1} & <i>\\N"q"`
+    ].join('\n'));
+
+    assert.equal(doc.cues[0].text, '&lt;img src=x onerror=alert(1)&gt;Hi &lt;script&gt;alert(2)&lt;/script&gt;&lt;b&gt;bold&lt;/b&gt; &amp; &lt;i&gt;<br>"q"');
+    assert.equal(doc.cues[0].runs[0].text, '<img src=x onerror=alert(1)>Hi <script>alert(2)</script><b>bold</b>');
+
+    // Runs are added as text nodes
+    const span = createElement('span');
+    createRenderer().appendRunText(span, doc.cues[0].runs[1].text);
+    assert.deepEqual(span.childNodes.map(node => node.nodeType === 3 ? node.data : node.tagName), [' & <i>', 'BR', '"q"']);
+});